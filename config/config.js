@@ -28,12 +28,55 @@ const config = {
       windowMs: 15 * 60 * 1000, // 15 minutes
       general: 1000, // requests per window (increased for development)
       auth: 50, // auth requests per window (increased for development)
-      upload: 10 // upload requests per window
+      upload: 10, // upload requests per window
+      tracking: 100 // public order tracking lookups per window
     },
     security: {
       bcryptRounds: 12,
       maxPasswordLength: 128,
       minPasswordLength: 8
+    },
+    cart: {
+      expiryDays: 30, // carts untouched for this long are removed by the TTL index
+      guestExpiryDays: 7
+    },
+    inventoryHolds: {
+      // Minutes stock stays reserved for an unpaid order, per payment method.
+      // Methods not listed (e.g. cod) hold stock until the order is cancelled.
+      holdMinutes: {
+        card: 30,
+        razorpay: 30,
+        upi: 30,
+        netbanking: 30
+      },
+      sweepIntervalMs: 60 * 1000
+    },
+    orderNumbers: {
+      prefix: 'VB',
+      datePart: 'YYYYMMDD', // 'YYYYMMDD', 'YYMMDD' or '' for one counter that never resets
+      sequenceDigits: 5,
+      // The daily counter advances by a random 1..maxIncrement so numbers can't be enumerated
+      maxIncrement: 20,
+      checkDigit: true
+    },
+    reconciliation: {
+      // How often the job checks whether yesterday's payments have been reconciled
+      checkIntervalMs: 60 * 60 * 1000
+    },
+    payments: {
+      currency: 'INR', // order totals are charged in this currency
+      // Provider per online payment method (see utils/payments).
+      // 'fake' takes payments in-process, for working offline.
+      providers: {
+        card: 'stripe',
+        razorpay: 'razorpay',
+        upi: 'razorpay',
+        netbanking: 'razorpay'
+      },
+      // Provider payments a customer can open for one order before it must be re-placed
+      maxAttempts: 5,
+      // Largest order total that can be switched to cash on delivery
+      codMaxAmount: 10000
     }
   },
   production: {
@@ -65,12 +108,47 @@ const config = {
       windowMs: 15 * 60 * 1000, // 15 minutes
       general: 100, // requests per window
       auth: 5, // auth requests per window
-      upload: 10 // upload requests per window
+      upload: 10, // upload requests per window
+      tracking: 20 // public order tracking lookups per window
     },
     security: {
       bcryptRounds: 14,
       maxPasswordLength: 128,
       minPasswordLength: 8
+    },
+    cart: {
+      expiryDays: 30,
+      guestExpiryDays: 7
+    },
+    inventoryHolds: {
+      holdMinutes: {
+        card: 30,
+        razorpay: 30,
+        upi: 30,
+        netbanking: 30
+      },
+      sweepIntervalMs: 60 * 1000
+    },
+    orderNumbers: {
+      prefix: 'VB',
+      datePart: 'YYYYMMDD',
+      sequenceDigits: 5,
+      maxIncrement: 20,
+      checkDigit: true
+    },
+    reconciliation: {
+      checkIntervalMs: 60 * 60 * 1000
+    },
+    payments: {
+      currency: 'INR',
+      providers: {
+        card: 'stripe',
+        razorpay: 'razorpay',
+        upi: 'razorpay',
+        netbanking: 'razorpay'
+      },
+      maxAttempts: 5,
+      codMaxAmount: 10000
     }
   },
   test: {
@@ -102,12 +180,48 @@ const config = {
       windowMs: 1 * 60 * 1000, // 1 minute for testing
       general: 1000, // higher limit for testing
       auth: 50,
-      upload: 20
+      upload: 20,
+      tracking: 100
     },
     security: {
       bcryptRounds: 4, // faster for testing
       maxPasswordLength: 128,
       minPasswordLength: 6 // relaxed for testing
+    },
+    cart: {
+      expiryDays: 1,
+      guestExpiryDays: 1
+    },
+    inventoryHolds: {
+      holdMinutes: {
+        card: 1,
+        razorpay: 1,
+        upi: 1,
+        netbanking: 1
+      },
+      sweepIntervalMs: 5 * 1000
+    },
+    orderNumbers: {
+      prefix: 'VB',
+      datePart: 'YYYYMMDD',
+      sequenceDigits: 5,
+      maxIncrement: 1, // sequential numbers are easier to assert on in tests
+      checkDigit: true
+    },
+    reconciliation: {
+      checkIntervalMs: 60 * 1000
+    },
+    payments: {
+      currency: 'INR',
+      // Tests never reach the real gateways
+      providers: {
+        card: 'fake',
+        razorpay: 'fake',
+        upi: 'fake',
+        netbanking: 'fake'
+      },
+      maxAttempts: 3,
+      codMaxAmount: 10000
     }
   }
 };
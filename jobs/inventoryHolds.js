@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+
+const BATCH_SIZE = 100;
+
+// Cancel one expired, still-unpaid order and put its stock back.
+// Re-reads the order inside the transaction so a payment that lands while
+// the sweep is running (or another instance sweeping) wins.
+const releaseExpiredHold = async (orderId) => {
+  let released = false;
+
+  await mongoose.connection.transaction(async (session) => {
+    released = false;
+    const order = await Order.findById(orderId).session(session);
+    if (!order || !order.reservation || order.reservation.status !== 'held') return;
+    if (!['pending', 'failed'].includes(order.paymentStatus) || order.orderStatus !== 'pending') return;
+
+    order.transitionStatus('orderStatus', 'cancelled', { note: 'Payment hold expired' });
+    await order.restockItems('expiry', { session });
+    await order.releaseCouponUsage({ session });
+    await order.save({ session });
+    released = true;
+  });
+
+  return released;
+};
+
+// Find unpaid orders whose hold has expired and release them
+const sweepExpiredHolds = async () => {
+  // Nothing to do until MongoDB is connected
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  const expired = await Order.find({
+    'reservation.status': 'held',
+    'reservation.expiresAt': { $lte: new Date() },
+    paymentStatus: { $in: ['pending', 'failed'] }
+  })
+    .select('_id orderNumber')
+    .limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const order of expired) {
+    try {
+      if (await releaseExpiredHold(order._id)) {
+        count += 1;
+        logger.info(`Released expired inventory hold for order ${order.orderNumber}`);
+      }
+    } catch (error) {
+      logger.error(`Error releasing inventory hold for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Run the sweeper on an interval for the lifetime of the process
+const startInventoryHoldSweeper = () => {
+  const timer = setInterval(() => {
+    sweepExpiredHolds().catch(error => logger.error('Inventory hold sweep error:', error));
+  }, config.inventoryHolds.sweepIntervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweepExpiredHolds,
+  startInventoryHoldSweeper
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { previousDay, reconcilePayments } = require('../utils/reconciliation');
+
+// Reconcile yesterday's orders and payment ledger for every provider in use,
+// once per provider and day
+const runDailyReconciliation = async (now = new Date()) => {
+  // Nothing to do until MongoDB is connected
+  if (mongoose.connection.readyState !== 1) return [];
+
+  const { periodStart, periodEnd } = previousDay(now);
+  const providers = [...new Set(Object.values(config.payments.providers))];
+
+  const reports = [];
+  for (const provider of providers) {
+    if (await ReconciliationReport.exists({ provider, source: 'ledger', periodStart })) continue;
+
+    try {
+      const report = await reconcilePayments({ provider, periodStart, periodEnd });
+      reports.push(report);
+      if (report.mismatches.length > 0) {
+        logger.warn(`Payment reconciliation for ${provider} on ${periodStart.toISOString().slice(0, 10)} found ${report.mismatches.length} mismatch(es)`);
+      }
+    } catch (error) {
+      // Another instance wrote the report first
+      if (error.code === 11000) continue;
+      throw error;
+    }
+  }
+
+  return reports;
+};
+
+// Check on an interval for the lifetime of the process
+const startPaymentReconciliationJob = () => {
+  const timer = setInterval(() => {
+    runDailyReconciliation().catch(error => logger.error('Payment reconciliation error:', error));
+  }, config.reconciliation.checkIntervalMs);
+
+  // Don't keep the process alive just for the job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runDailyReconciliation,
+  startPaymentReconciliationJob
+};
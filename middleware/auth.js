@@ -60,6 +60,31 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Optional authentication - attach the user if a valid token is present,
+// but let anonymous requests through (e.g. guest carts)
+const optionalAuth = async (req, res, next) => {
+  try {
+    let token;
+    if (req.cookies && req.cookies.token) {
+      token = req.cookies.token;
+    } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      if (user && user.isActive) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+    logger.warn('Optional auth ignored invalid token:', error.message);
+  }
+  next();
+};
+
 // Admin only routes
 const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -86,6 +111,7 @@ const requireVerification = (req, res, next) => {
 
 module.exports = {
   protect,
+  optionalAuth,
   admin,
   requireVerification
 };
\ No newline at end of file
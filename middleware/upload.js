@@ -42,6 +42,22 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Settlement exports (CSV) are parsed in memory, not kept on disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+  }
+});
+
 // Single image upload
 const uploadSingle = upload.single('image');
 
@@ -97,6 +113,7 @@ module.exports = {
   uploadSingle: handleUploadError(uploadSingle),
   uploadMultiple: handleUploadError(uploadMultiple),
   uploadProductImages: handleUploadError(uploadProductImages),
+  uploadCsv: handleUploadError(csvUpload.single('file')),
   getFileUrl,
   handleUploadError
 };
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  size: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  image: String,
+  category: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const appliedCouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    trim: true
+  },
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'bogo', 'free_shipping', 'tiered']
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  // Anonymous carts are keyed by the ID stored in the signed guest cart cookie
+  guestId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  items: [cartItemSchema],
+  appliedCoupon: {
+    type: appliedCouponSchema,
+    default: null
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Note: user and guestId indexes are automatically created by unique: true
+// TTL index - MongoDB removes the cart once expiresAt has passed
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Push the expiry forward every time the cart is touched
+cartSchema.pre('save', function(next) {
+  const days = this.user ? config.cart.expiryDays : config.cart.guestExpiryDays;
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  next();
+});
+
+// Get a cart by owner ({ user } or { guestId }), creating an empty one if none exists
+cartSchema.statics.findOrCreate = function(owner) {
+  return this.findOneAndUpdate(
+    owner,
+    { $setOnInsert: { ...owner, items: [], appliedCoupon: null } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Method to find an item by product and size
+cartSchema.methods.findItemIndex = function(productId, size) {
+  return this.items.findIndex(
+    item => item.productId === String(productId) && item.size === size
+  );
+};
+
+// Method to add an item (or increase the quantity of an existing one)
+cartSchema.methods.addItem = function(item) {
+  const index = this.findItemIndex(item.productId, item.size);
+  if (index > -1) {
+    this.items[index].quantity += item.quantity;
+  } else {
+    this.items.push({ ...item, productId: String(item.productId) });
+  }
+  return this;
+};
+
+// Method to set the quantity of an existing item (0 removes it)
+cartSchema.methods.setItemQuantity = function(productId, size, quantity) {
+  const index = this.findItemIndex(productId, size);
+  if (index === -1) return false;
+
+  if (quantity === 0) {
+    this.items.splice(index, 1);
+  } else {
+    this.items[index].quantity = quantity;
+  }
+  return true;
+};
+
+// Method to remove an item
+cartSchema.methods.removeItem = function(productId, size) {
+  const index = this.findItemIndex(productId, size);
+  if (index === -1) return false;
+
+  this.items.splice(index, 1);
+  return true;
+};
+
+// Method to empty the cart
+cartSchema.methods.clearItems = function() {
+  this.items = [];
+  this.appliedCoupon = null;
+  return this;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters (e.g. one per day for order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically advance a counter by `by` and return its new value.
+// The counter document is created on first use.
+counterSchema.statics.increment = async function(key, by = 1) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: by } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two first-use upserts can race on the _id; the loser just increments the winner's document
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: by } }, { new: true });
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { calculateRuleDiscount, isEligibleLine, availableRuleType } = require('../utils/discounts');
+
+// Coupon types whose value comes from the `discount` field
+const VALUE_TYPES = ['percentage', 'fixed'];
 
 const couponSchema = new mongoose.Schema({
   code: {
@@ -17,18 +21,72 @@ const couponSchema = new mongoose.Schema({
   },
   discount: {
     type: Number,
-    required: [true, 'Discount amount is required'],
+    required: [function() { return VALUE_TYPES.includes(this.type); }, 'Discount amount is required'],
     min: [0, 'Discount cannot be negative']
   },
   type: {
     type: String,
     required: [true, 'Discount type is required'],
-    enum: ['percentage', 'fixed'],
+    enum: ['percentage', 'fixed', 'bogo', 'free_shipping', 'tiered'],
+    validate: availableRuleType,
     default: 'percentage'
   },
+  // Spend thresholds for tiered coupons, e.g. 10% over 499 and 15% over 999
+  tiers: [{
+    minAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Tier threshold cannot be negative']
+    },
+    discount: {
+      type: Number,
+      required: true,
+      min: [0, 'Discount cannot be negative']
+    },
+    type: {
+      type: String,
+      enum: VALUE_TYPES,
+      default: 'percentage'
+    }
+  }],
+  // Buy X get Y on the eligible products/sizes; the cheapest units are discounted
+  bogo: {
+    buyQuantity: {
+      type: Number,
+      min: [1, 'Buy quantity must be at least 1'],
+      default: 1
+    },
+    getQuantity: {
+      type: Number,
+      min: [1, 'Get quantity must be at least 1'],
+      default: 1
+    },
+    getDiscount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+      default: 100 // percent off the "get" units; 100 = free
+    }
+  },
   categories: [{
     type: String,
-    enum: ['Makhana', 'Chips', 'Bites', 'Nuts', 'Seeds'],
+    trim: true
+  }],
+  // Limit the coupon to these products or SKUs (sizes); empty means every product
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  skus: [{
+    type: String,
+    trim: true
+  }],
+  excludedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  excludedSkus: [{
+    type: String,
     trim: true
   }],
   minOrderAmount: {
@@ -50,6 +108,11 @@ const couponSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Used count cannot be negative']
   },
+  perUserLimit: {
+    type: Number,
+    default: -1, // -1 means unlimited
+    min: [-1, 'Per-user limit cannot be less than -1']
+  },
   validFrom: {
     type: Date,
     default: Date.now
@@ -73,7 +136,12 @@ const couponSchema = new mongoose.Schema({
   excludedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Set for codes generated in bulk under a CouponCampaign
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponCampaign'
+  }
 }, {
   timestamps: true
 });
@@ -83,6 +151,7 @@ const couponSchema = new mongoose.Schema({
 couponSchema.index({ isActive: 1 });
 couponSchema.index({ validUntil: 1 });
 couponSchema.index({ categories: 1 });
+couponSchema.index({ campaign: 1 });
 
 // Method to check if coupon is valid
 couponSchema.methods.isValid = function() {
@@ -101,47 +170,73 @@ couponSchema.methods.isValid = function() {
 };
 
 // Method to check if coupon can be applied to order
-couponSchema.methods.canBeApplied = function(orderAmount, userId = null, isFirstTime = false) {
-  // Check basic validity
-  if (!this.isValid()) return false;
-  
+// Returns { canApply, reasons } where each reason is { code, message } (plus figures
+// such as the shortfall) so the storefront can tell the customer what to do.
+// Pass the order lines to also check that something in the order is in the coupon's scope.
+couponSchema.methods.canBeApplied = function(orderAmount, userId = null, isFirstTime = false, userRedemptions = 0, items = []) {
+  const reasons = [];
+  const now = new Date();
+
+  // Check if coupon is active
+  if (!this.isActive) {
+    reasons.push({ code: 'inactive', message: 'This coupon is no longer active' });
+  }
+
+  // Check if coupon is within valid date range
+  if (now < this.validFrom) {
+    reasons.push({ code: 'not_yet_valid', message: `This coupon is valid from ${this.validFrom.toDateString()}`, validFrom: this.validFrom });
+  }
+  if (now > this.validUntil) {
+    reasons.push({ code: 'expired', message: `This coupon expired on ${this.validUntil.toDateString()}`, validUntil: this.validUntil });
+  }
+
+  // Check if usage limit is reached
+  if (this.usageLimit !== -1 && this.usedCount >= this.usageLimit) {
+    reasons.push({ code: 'usage_exhausted', message: 'This coupon has reached its usage limit' });
+  }
+
   // Check minimum order amount
-  if (orderAmount < this.minOrderAmount) return false;
-  
+  if (orderAmount < this.minOrderAmount) {
+    const shortfall = Math.round((this.minOrderAmount - orderAmount) * 100) / 100;
+    reasons.push({
+      code: 'below_minimum',
+      message: `Add ₹${shortfall} more to use this coupon (minimum order ₹${this.minOrderAmount})`,
+      minOrderAmount: this.minOrderAmount,
+      shortfall
+    });
+  }
+
   // Check if it's first time only coupon
-  if (this.isFirstTimeOnly && !isFirstTime) return false;
-  
-  // Check if user is in excluded list
-  if (userId && this.excludedUsers.includes(userId)) return false;
-  
-  // Check if user is in applicable list (if specified)
-  if (this.applicableUsers.length > 0 && userId && !this.applicableUsers.includes(userId)) return false;
-  
-  return true;
-};
+  if (this.isFirstTimeOnly && !isFirstTime) {
+    reasons.push({ code: 'first_order_only', message: 'This coupon is only valid on your first order' });
+  }
 
-// Method to calculate discount amount
-couponSchema.methods.calculateDiscount = function(orderAmount, items = []) {
-  let applicableAmount = orderAmount;
-  // If coupon is category-specific, only apply to those categories
-  if (this.categories && this.categories.length > 0 && items.length > 0) {
-    applicableAmount = items
-      .filter(item => this.categories.includes(item.category))
-      .reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  // Check how many times this user has already used it
+  if (userId && this.perUserLimit !== -1 && userRedemptions >= this.perUserLimit) {
+    reasons.push({ code: 'per_user_limit_reached', message: 'You have already used this coupon the maximum number of times' });
   }
-  let discountAmount = 0;
-  if (this.type === 'percentage') {
-    discountAmount = (applicableAmount * this.discount) / 100;
-  } else {
-    discountAmount = this.discount;
+
+  // Check if user is in excluded list, or not in the applicable list (if specified)
+  if (userId && (this.excludedUsers.includes(userId) ||
+    (this.applicableUsers.length > 0 && !this.applicableUsers.includes(userId)))) {
+    reasons.push({ code: 'user_not_eligible', message: 'This coupon is not available for your account' });
   }
-  // Apply maximum discount limit if specified
-  if (this.maxDiscount) {
-    discountAmount = Math.min(discountAmount, this.maxDiscount);
+
+  // Check the order has something the coupon covers
+  if (items.length > 0 && !items.some(item => isEligibleLine(this, item))) {
+    const scope = this.categories && this.categories.length > 0
+      ? `items from ${this.categories.join(', ')}`
+      : 'eligible items';
+    reasons.push({ code: 'no_eligible_items', message: `This coupon only applies to ${scope}` });
   }
-  // Ensure discount doesn't exceed order amount
-  discountAmount = Math.min(discountAmount, applicableAmount);
-  return discountAmount;
+
+  return { canApply: reasons.length === 0, reasons };
+};
+
+// Method to calculate discount amount
+// Returns { amount, shippingDiscount, allocations } with the item discount split per line
+couponSchema.methods.calculateDiscount = function(orderAmount, items = [], { shippingCost = 0 } = {}) {
+  return calculateRuleDiscount(this, orderAmount, items, { shippingCost });
 };
 
 // Method to increment usage count
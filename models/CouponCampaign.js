@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { isAvailableRuleType, UNAVAILABLE_TYPE_MESSAGE } = require('../utils/discounts');
+
+// Parent of a batch of generated single-use coupon codes (influencer drops, packaging inserts).
+// The codes themselves are ordinary Coupon documents pointing back here.
+const couponCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  prefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: '',
+    maxlength: [10, 'Prefix cannot exceed 10 characters']
+  },
+  codeLength: {
+    type: Number,
+    default: 8,
+    min: [4, 'Code length must be at least 4'],
+    max: [20, 'Code length cannot exceed 20']
+  },
+  alphabet: {
+    type: String,
+    default: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // no 0/O or 1/I look-alikes
+    minlength: [10, 'Alphabet must have at least 10 characters']
+  },
+  // Discount, validity and limit fields copied onto every generated Coupon
+  couponTemplate: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Coupon template is required']
+  },
+  generatedCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponCampaignSchema.pre('validate', function(next) {
+  if (this.prefix.length + this.codeLength > 20) {
+    this.invalidate('codeLength', 'Prefix plus code length cannot exceed 20 characters');
+  }
+  if (this.couponTemplate && !isAvailableRuleType(this.couponTemplate.type)) {
+    this.invalidate('couponTemplate', UNAVAILABLE_TYPE_MESSAGE);
+  }
+  next();
+});
+
+module.exports = mongoose.model('CouponCampaign', couponCampaignSchema);
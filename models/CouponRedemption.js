@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon on an order. Released (not deleted) when the order is cancelled
+// so the history is kept but the use no longer counts against any limit.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Which of the coupon's perUserLimit uses by this user this is (0-based). Unique per
+  // coupon and user, so concurrent checkouts can't both take the last use; cleared on
+  // release to free the use again. Not set for coupons without a per-user limit.
+  slot: Number,
+  releasedAt: Date
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ coupon: 1, at: -1 });
+
+// Number of uses of a coupon by a user that still count towards its limits
+couponRedemptionSchema.statics.countForUser = function(couponId, userId, session = null) {
+  return this.countDocuments({ coupon: couponId, user: userId, releasedAt: null }).session(session);
+};
+
+// First of a user's perUserLimit uses of a coupon not taken by an unreleased redemption,
+// or null if they have all been used
+couponRedemptionSchema.statics.freeSlotForUser = async function(couponId, userId, perUserLimit, session = null) {
+  const taken = await this.distinct('slot', { coupon: couponId, user: userId, releasedAt: null }).session(session);
+  for (let slot = 0; slot < perUserLimit; slot++) {
+    if (!taken.includes(slot)) return slot;
+  }
+  return null;
+};
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
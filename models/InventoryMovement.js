@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every change to Product.sizes[].stock
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  size: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['sale', 'cancel', 'return', 'manual', 'import']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resultingLevel: {
+    type: Number,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, size: 1, createdAt: -1 });
+inventoryMovementSchema.index({ sku: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+// Sum of all recorded deltas for a product size
+inventoryMovementSchema.statics.ledgerTotal = async function(productId, size) {
+  const result = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), size } },
+    { $group: { _id: null, total: { $sum: '$delta' }, count: { $sum: 1 } } }
+  ]);
+  return {
+    total: result[0]?.total || 0,
+    count: result[0]?.count || 0
+  };
+};
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
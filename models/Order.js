@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const { incrementStock } = require('../utils/inventory');
+const { AppError } = require('../middleware/errorHandler');
+const { generateOrderNumber } = require('../utils/orderNumber');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const Payment = require('./Payment');
+const { roundMoney } = require('../utils/discounts');
+const config = require('../config/config');
+
+// Allowed status changes. Anything not listed here is rejected.
+const STATUS_TRANSITIONS = {
+  orderStatus: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+  },
+  paymentStatus: {
+    pending: ['processing', 'completed', 'failed'],
+    processing: ['completed', 'failed'],
+    failed: ['pending', 'processing', 'completed'],
+    completed: ['refunded'],
+    refunded: []
+  }
+};
+
+// A refund is settled once: the provider (or an admin, for manual refunds) confirms or fails it
+const REFUND_TRANSITIONS = {
+  pending: ['processed', 'failed'],
+  processed: [],
+  failed: []
+};
+
+// What the customer was charged: the amount the provider payment was opened for, or the
+// order total for orders paid before that was recorded
+const paidAmount = (order) => {
+  const details = order.paymentDetails || {};
+  return details.amount !== undefined && details.amount !== null ? details.amount : order.total;
+};
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -43,6 +85,23 @@ const orderSchema = new mongoose.Schema({
     category: {
       type: String,
       required: true
+    },
+    sku: String,
+    // Share of the order discount given on this line
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    // Cleared for damaged goods on return so they don't go back on the shelf
+    restockable: {
+      type: Boolean,
+      default: true
+    },
+    restockedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Restocked quantity cannot be negative']
     }
   }],
   shippingAddress: {
@@ -121,6 +180,10 @@ const orderSchema = new mongoose.Schema({
     min: [0, 'Total cannot be negative']
   },
   appliedCoupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
     code: {
       type: String,
       trim: true
@@ -131,21 +194,177 @@ const orderSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['percentage', 'fixed']
-    }
+      enum: ['percentage', 'fixed', 'bogo', 'free_shipping', 'tiered']
+    },
+    // Set when a cancellation gives the coupon use back
+    usageReleasedAt: Date
   },
+  // Automatic promotions applied at checkout
+  appliedPromotions: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    amount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    shippingDiscount: {
+      type: Number,
+      default: 0
+    }
+  }],
   paymentDetails: {
+    // Provider that took the payment (see utils/payments) and its payment id:
+    // the Stripe payment intent or Razorpay order
+    provider: {
+      type: String,
+      enum: ['stripe', 'razorpay', 'fake']
+    },
+    providerPaymentId: String,
+    // The provider's charge/payment id once paid
     transactionId: String,
-    paymentIntentId: String,
+    // What the provider payment was opened for; checked again when it is verified
+    amount: Number,
+    currency: String,
     paymentMethod: String,
     paidAt: Date
   },
+  // Provider payments opened for this order; capped by config.payments.maxAttempts
+  paymentAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Money returned to the customer. Only processed refunds count; the payment becomes
+  // "refunded" once they cover what was paid.
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Refund amount must be positive']
+    },
+    method: {
+      type: String,
+      required: true,
+      enum: ['original_payment', 'store_credit', 'bank_transfer']
+    },
+    // Who moves the money: the payment provider, or an admin for store credit and bank transfers
+    provider: {
+      type: String,
+      required: true,
+      enum: ['stripe', 'razorpay', 'fake', 'manual']
+    },
+    providerRefundId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Bank transfer or store credit reference entered when a manual refund is confirmed
+    reference: String,
+    failureReason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date
+  }],
+  // Stock reserved for an unpaid online order; released by the hold sweeper on expiry
+  reservation: {
+    status: {
+      type: String,
+      enum: ['held', 'converted', 'released']
+    },
+    expiresAt: Date,
+    releasedAt: Date,
+    releaseReason: String
+  },
+  // Record of stock returned to Product.sizes for this order
+  inventoryAdjustments: [{
+    reason: {
+      type: String,
+      enum: ['cancel', 'return', 'expiry']
+    },
+    items: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      size: String,
+      quantity: Number
+    }],
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Every orderStatus/paymentStatus change, oldest first
+  statusHistory: [{
+    field: {
+      type: String,
+      enum: ['orderStatus', 'paymentStatus'],
+      required: true
+    },
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }],
   shippingDetails: {
     trackingNumber: String,
     carrier: String,
     shippedAt: Date,
     estimatedDelivery: Date,
-    deliveredAt: Date
+    deliveredAt: Date,
+    // Carrier scan events (picked up, in transit, out for delivery, ...)
+    events: [{
+      status: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+      },
+      location: {
+        type: String,
+        trim: true
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   notes: {
     type: String,
@@ -218,24 +437,23 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
 
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Get count of orders for today
-    const todayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const todayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
-    
-    const orderCount = await this.constructor.countDocuments({
-      createdAt: { $gte: todayStart, $lt: todayEnd }
-    });
-    
-  this.orderNumber = `VB${year}${month}${day}${String(orderCount + 1).padStart(4, '0')}`;
+    this.orderNumber = await generateOrderNumber();
+  }
+  next();
+});
+
+// Record the starting statuses of a new order
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push(
+      { field: 'orderStatus', from: null, to: this.orderStatus, by: this.user },
+      { field: 'paymentStatus', from: null, to: this.paymentStatus, by: this.user }
+    );
   }
   next();
 });
@@ -257,15 +475,8 @@ orderSchema.virtual('orderSummary').get(function() {
 orderSchema.methods.calculateTotals = function() {
   this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   
-  // Apply discount if coupon is applied
-  let discountAmount = 0;
-  if (this.appliedCoupon && this.appliedCoupon.code) {
-    if (this.appliedCoupon.type === 'percentage') {
-      discountAmount = (this.subtotal * this.appliedCoupon.discount) / 100;
-    } else {
-      discountAmount = this.appliedCoupon.discount;
-    }
-  }
+  // The discount was allocated to lines when the order was placed
+  const discountAmount = this.items.reduce((sum, item) => sum + (item.discount || 0), 0);
   
   this.discount = Math.min(discountAmount, this.subtotal);
   this.total = this.subtotal + this.shippingCost - this.discount;
@@ -278,9 +489,122 @@ orderSchema.methods.calculateTotals = function() {
   };
 };
 
+// Method to put this order's stock back into Product.sizes.
+// Idempotent: each line is claimed with a conditional update on restockedQuantity
+// before the product is incremented, so repeated or concurrent calls never restock twice.
+orderSchema.methods.restockItems = async function(reason, { by = null, session = null } = {}) {
+  const restocked = [];
+
+  for (const item of this.items) {
+    const quantity = item.quantity - (item.restockedQuantity || 0);
+    if (!item.restockable || quantity <= 0) continue;
+
+    const claim = await this.constructor.updateOne(
+      { _id: this._id, items: { $elemMatch: { _id: item._id, restockedQuantity: { $ne: item.quantity } } } },
+      { $set: { 'items.$.restockedQuantity': item.quantity } },
+      { session }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    await incrementStock({
+      productId: item.product,
+      size: item.size,
+      quantity,
+      reason,
+      order: this._id,
+      actor: by,
+      note: reason === 'expiry' ? 'Payment hold expired' : undefined,
+      session
+    });
+    item.restockedQuantity = item.quantity;
+    restocked.push({ product: item.product, size: item.size, quantity });
+  }
+
+  if (restocked.length > 0) {
+    this.inventoryAdjustments.push({ reason, items: restocked, at: new Date(), by });
+  }
+
+  // Any outstanding stock hold is over once the stock is back
+  if (this.reservation && this.reservation.status === 'held') {
+    this.reservation.status = 'released';
+    this.reservation.releasedAt = new Date();
+    this.reservation.releaseReason = reason;
+  }
+
+  return restocked;
+};
+
+// Method to save this order in one transaction with the stock and coupon changes made by
+// `change(session)`, so a failed save never gives back stock for an order that is still active.
+// The driver's automatic retry is refused with a 409 instead: the first attempt has already
+// changed this document in memory.
+orderSchema.methods.saveInTransaction = async function(change) {
+  let attempts = 0;
+  await mongoose.connection.transaction(async (session) => {
+    attempts += 1;
+    if (attempts > 1) {
+      throw new AppError('Order was changed by another request, please try again', 409);
+    }
+    await change(session);
+    await this.save({ session });
+  });
+  return this;
+};
+
+// Check whether orderStatus or paymentStatus may move from one value to another
+orderSchema.statics.canTransition = function(field, from, to) {
+  const allowed = STATUS_TRANSITIONS[field] && STATUS_TRANSITIONS[field][from];
+  return Boolean(allowed && allowed.includes(to));
+};
+
+// Method to move orderStatus or paymentStatus along the transition graph.
+// Throws a 409 AppError for a change the graph doesn't allow; otherwise sets the
+// field and records it in statusHistory. Does not save.
+orderSchema.methods.transitionStatus = function(field, newStatus, { by = null, note = '' } = {}) {
+  const from = this[field];
+  if (!this.constructor.canTransition(field, from, newStatus)) {
+    const label = field === 'orderStatus' ? 'Order status' : 'Payment status';
+    throw new AppError(`${label} cannot change from ${from} to ${newStatus}`, 409);
+  }
+
+  this[field] = newStatus;
+  this.statusHistory.push({ field, from, to: newStatus, at: new Date(), by, note: note || undefined });
+  return this;
+};
+
+// Method to give back the coupon use counted at checkout when the order is cancelled.
+// Idempotent: the order is flagged with a conditional update before usedCount is decremented.
+orderSchema.methods.releaseCouponUsage = async function({ session = null } = {}) {
+  if (!this.appliedCoupon || !this.appliedCoupon.coupon || this.appliedCoupon.usageReleasedAt) {
+    return false;
+  }
+
+  const releasedAt = new Date();
+  const claim = await this.constructor.updateOne(
+    { _id: this._id, 'appliedCoupon.coupon': this.appliedCoupon.coupon, 'appliedCoupon.usageReleasedAt': null },
+    { $set: { 'appliedCoupon.usageReleasedAt': releasedAt } },
+    { session }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  await Coupon.updateOne(
+    { _id: this.appliedCoupon.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  await CouponRedemption.updateOne(
+    { order: this._id, releasedAt: null },
+    { $set: { releasedAt }, $unset: { slot: '' } },
+    { session }
+  );
+  this.appliedCoupon.usageReleasedAt = releasedAt;
+  return true;
+};
+
 // Method to update order status
-orderSchema.methods.updateStatus = function(newStatus, notes = '') {
-  this.orderStatus = newStatus;
+orderSchema.methods.updateStatus = async function(newStatus, notes = '', by = null) {
+  this.transitionStatus('orderStatus', newStatus, { by, note: notes });
+  let collectedCash = false;
   if (notes) {
     this.notes = notes;
   }
@@ -292,27 +616,191 @@ orderSchema.methods.updateStatus = function(newStatus, notes = '') {
       break;
     case 'delivered':
       this.shippingDetails.deliveredAt = new Date();
+      collectedCash = this.collectCashOnDelivery(by);
       break;
+    case 'cancelled':
+      return this.saveInTransaction(async (session) => {
+        await this.restockItems('cancel', { by, session });
+        await this.releaseCouponUsage({ session });
+      });
+    case 'returned':
+      return this.saveInTransaction(session => this.restockItems('return', { by, session }));
   }
   
+  await this.save();
+  if (collectedCash) {
+    await Payment.recordCapture(this, {
+      provider: 'manual',
+      amount: this.paymentDetails.amount,
+      currency: this.paymentDetails.currency,
+      paymentMethod: 'cod',
+      source: 'admin'
+    });
+  }
+  return this;
+};
+
+// Method to mark a cash on delivery order paid for the order total once it is delivered.
+// Returns whether the payment was recorded. Does not save.
+orderSchema.methods.collectCashOnDelivery = function(by = null) {
+  if (this.paymentMethod !== 'cod' || !this.constructor.canTransition('paymentStatus', this.paymentStatus, 'completed')) {
+    return false;
+  }
+
+  this.transitionStatus('paymentStatus', 'completed', { by, note: 'Cash collected on delivery' });
+  this.set('paymentDetails.amount', this.total);
+  this.set('paymentDetails.currency', config.payments.currency);
+  this.set('paymentDetails.paymentMethod', 'cod');
+  this.set('paymentDetails.paidAt', new Date());
+  if (this.reservation && this.reservation.status === 'held') {
+    this.reservation.status = 'converted';
+  }
+  return true;
+};
+
+// Method to record a carrier scan event for a shipped order
+orderSchema.methods.addTrackingEvent = function({ status, description, location, at }) {
+  if (!['shipped', 'delivered'].includes(this.orderStatus)) {
+    throw new AppError('Tracking events can only be added to shipped orders', 409);
+  }
+
+  this.shippingDetails.events.push({ status, description, location, at: at || new Date() });
   return this.save();
 };
 
 // Method to update payment status
-orderSchema.methods.updatePaymentStatus = function(newStatus, paymentDetails = {}) {
-  this.paymentStatus = newStatus;
+orderSchema.methods.updatePaymentStatus = function(newStatus, paymentDetails = {}, { by = null, note = '' } = {}) {
+  this.transitionStatus('paymentStatus', newStatus, { by, note });
   
   if (newStatus === 'completed' && paymentDetails) {
-    this.paymentDetails = { ...this.paymentDetails, ...paymentDetails, paidAt: new Date() };
+    // Set fields one by one; spreading the nested document would copy Mongoose internals
+    Object.entries(paymentDetails).forEach(([key, value]) => {
+      if (value !== undefined) this.set(`paymentDetails.${key}`, value);
+    });
+    this.set('paymentDetails.paidAt', new Date());
+  }
+
+  // Once paid, the stock hold becomes a permanent sale
+  if (newStatus === 'completed' && this.reservation && this.reservation.status === 'held') {
+    this.reservation.status = 'converted';
   }
   
   return this.save();
 };
 
+// Method to check a provider payment (amount in minor units, e.g. paise) matches what
+// the payment was opened for. Orders without a recorded amount are checked against the total.
+orderSchema.methods.matchesPayment = function(amount, currency) {
+  const details = this.paymentDetails || {};
+  if (Math.round(paidAmount(this) * 100) !== Number(amount)) return false;
+  return !details.currency || String(details.currency).toUpperCase() === String(currency).toUpperCase();
+};
+
+// Method to get what the customer was charged
+orderSchema.methods.getPaidAmount = function() {
+  return paidAmount(this);
+};
+
+// Method to get how much of the payment can still be refunded (pending refunds are held back)
+orderSchema.methods.getRefundableAmount = function() {
+  const committed = this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return roundMoney(Math.max(0, paidAmount(this) - committed));
+};
+
+// Method to add a pending refund. Card/UPI payments are refunded through the provider that
+// took them; COD orders can only be refunded by store credit or bank transfer.
+// Throws a 400/409 AppError if the refund isn't allowed. Does not save.
+orderSchema.methods.addRefund = function({ amount, method = 'original_payment', reason = '', by = null }) {
+  if (this.paymentStatus !== 'completed') {
+    if (this.paymentMethod === 'cod') {
+      throw new AppError('Cash on delivery orders can only be refunded once delivered and paid', 409);
+    }
+    throw new AppError('Only paid orders can be refunded', 409);
+  }
+
+  const refundable = this.getRefundableAmount();
+  if (!(amount > 0) || roundMoney(amount) > refundable) {
+    throw new AppError(`Refund amount must be between 0 and ${refundable}`, 400);
+  }
+
+  let provider = 'manual';
+  if (method === 'original_payment') {
+    if (this.paymentMethod === 'cod') {
+      throw new AppError('Cash on delivery orders are refunded by store credit or bank transfer', 400);
+    }
+    if (!this.paymentDetails.provider || !this.paymentDetails.providerPaymentId) {
+      throw new AppError('No provider payment found to refund', 400);
+    }
+    provider = this.paymentDetails.provider;
+  }
+
+  this.refunds.push({ amount: roundMoney(amount), method, provider, reason, requestedBy: by });
+  return this.refunds[this.refunds.length - 1];
+};
+
+// Method to settle a pending refund as processed or failed. Once processed refunds cover
+// the payment, the payment status moves to refunded. Replays of the same outcome are
+// ignored; any other change to a settled refund throws a 409 AppError. Does not save.
+orderSchema.methods.updateRefundStatus = function(refund, status, { providerRefundId, reference, failureReason, by = null } = {}) {
+  if (providerRefundId) refund.providerRefundId = providerRefundId;
+  if (refund.status === status) return refund;
+
+  if (!REFUND_TRANSITIONS[refund.status].includes(status)) {
+    throw new AppError(`Refund cannot change from ${refund.status} to ${status}`, 409);
+  }
+
+  refund.status = status;
+  if (reference) refund.reference = reference;
+  if (status === 'failed') {
+    refund.failureReason = failureReason;
+    return refund;
+  }
+
+  refund.processedAt = new Date();
+  const refunded = this.refunds
+    .filter(entry => entry.status === 'processed')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  if (this.paymentStatus === 'completed' && roundMoney(refunded) >= paidAmount(this)) {
+    this.transitionStatus('paymentStatus', 'refunded', { by, note: 'Refund confirmed' });
+  }
+  return refund;
+};
+
+// Method to apply a refund update reported by a provider webhook. The refund is matched by
+// the provider's refund id or our own refund id; refunds made directly in the provider's
+// dashboard are added to the order. Saves the order.
+orderSchema.methods.applyProviderRefund = function({ provider, providerRefundId, refundId, amount, status, failureReason }) {
+  let refund = this.refunds.find(entry =>
+    (providerRefundId && entry.providerRefundId === providerRefundId) ||
+    (refundId && entry._id.toString() === String(refundId)));
+
+  if (!refund) {
+    if (status !== 'processed') return Promise.resolve(this);
+    this.refunds.push({
+      amount: roundMoney(amount),
+      method: 'original_payment',
+      provider,
+      providerRefundId,
+      reason: `Refunded from the ${provider} dashboard`
+    });
+    refund = this.refunds[this.refunds.length - 1];
+  }
+
+  if (refund.status !== 'pending' && refund.status !== status) {
+    // e.g. a late "pending" event after the refund was already settled
+    return Promise.resolve(this);
+  }
+
+  this.updateRefundStatus(refund, status, { providerRefundId, failureReason });
+  return this.save();
+};
+
 // Method to request order cancellation
 orderSchema.methods.requestCancellation = function(reason, description = '') {
-  // Only allow cancellation for pending, confirmed, or processing orders
-  if (!['pending', 'confirmed', 'processing'].includes(this.orderStatus)) {
+  // Only allow cancellation for orders that haven't shipped
+  if (!this.constructor.canTransition('orderStatus', this.orderStatus, 'cancelled')) {
     throw new Error('Order cannot be cancelled at this stage');
   }
 
@@ -329,7 +817,7 @@ orderSchema.methods.requestCancellation = function(reason, description = '') {
 // Method to request order return
 orderSchema.methods.requestReturn = function(reason, description = '') {
   // Only allow returns for delivered orders
-  if (this.orderStatus !== 'delivered') {
+  if (!this.constructor.canTransition('orderStatus', this.orderStatus, 'returned')) {
     throw new Error('Returns can only be requested for delivered orders');
   }
 
@@ -344,7 +832,7 @@ orderSchema.methods.requestReturn = function(reason, description = '') {
 };
 
 // Method to process cancel request (Admin only)
-orderSchema.methods.processCancelRequest = function(approved, processedBy, notes = '') {
+orderSchema.methods.processCancelRequest = async function(approved, processedBy, notes = '') {
   if (!this.cancelRequest || this.cancelRequest.status !== 'pending') {
     throw new Error('No pending cancellation request found');
   }
@@ -354,19 +842,25 @@ orderSchema.methods.processCancelRequest = function(approved, processedBy, notes
   this.cancelRequest.processedBy = processedBy;
 
   if (approved) {
-    this.orderStatus = 'cancelled';
-    this.paymentStatus = 'refunded';
+    // Money already taken is returned through a refund (see addRefund); the payment only
+    // becomes "refunded" once that refund is confirmed
+    this.transitionStatus('orderStatus', 'cancelled', { by: processedBy, note: 'Cancellation request approved' });
   }
 
   if (notes) {
     this.notes = notes;
   }
 
-  return this.save();
+  if (!approved) return this.save();
+  return this.saveInTransaction(async (session) => {
+    await this.restockItems('cancel', { by: processedBy, session });
+    await this.releaseCouponUsage({ session });
+  });
 };
 
 // Method to process return request (Admin only)
-orderSchema.methods.processReturnRequest = function(approved, processedBy, refundAmount, refundMethod, returnTrackingNumber = '', notes = '') {
+// nonRestockableItems lists order item IDs (e.g. damaged goods) that must not go back into stock
+orderSchema.methods.processReturnRequest = async function(approved, processedBy, refundAmount, refundMethod, returnTrackingNumber = '', notes = '', nonRestockableItems = []) {
   if (!this.returnRequest || this.returnRequest.status !== 'pending') {
     throw new Error('No pending return request found');
   }
@@ -376,17 +870,25 @@ orderSchema.methods.processReturnRequest = function(approved, processedBy, refun
   this.returnRequest.processedBy = processedBy;
 
   if (approved) {
-    this.orderStatus = 'returned';
+    this.transitionStatus('orderStatus', 'returned', { by: processedBy, note: 'Return request approved' });
     this.returnRequest.returnTrackingNumber = returnTrackingNumber;
     this.returnRequest.refundAmount = refundAmount;
     this.returnRequest.refundMethod = refundMethod;
+
+    const damaged = nonRestockableItems.map(String);
+    this.items.forEach(item => {
+      if (damaged.includes(item._id.toString())) {
+        item.restockable = false;
+      }
+    });
   }
 
   if (notes) {
     this.notes = notes;
   }
 
-  return this.save();
+  if (!approved) return this.save();
+  return this.saveInTransaction(session => this.restockItems('return', { by: processedBy, session }));
 };
 
 // Ensure virtual fields are included in JSON
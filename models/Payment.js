@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Ledger of money movements for an order: every payment attempt opened with a provider,
+// every capture and failure, and every refund. Amounts are in rupees like the order's.
+// Entries reference the webhook event (and its raw payload) that reported them, if any.
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['attempt', 'capture', 'failure', 'refund']
+  },
+  provider: {
+    type: String,
+    required: true,
+    enum: ['stripe', 'razorpay', 'fake', 'manual']
+  },
+  // The provider's payment intent / order, charge / payment and refund ids
+  providerPaymentId: String,
+  transactionId: String,
+  providerRefundId: String,
+  // The order's refund entry, for refunds
+  refund: mongoose.Schema.Types.ObjectId,
+  // Refunds: pending, processed or failed; other kinds keep the provider's view at the time
+  status: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  paymentMethod: String,
+  reason: String,
+  // Where we learnt about it: our own API call to the provider, a webhook, or an admin
+  source: {
+    type: String,
+    enum: ['api', 'webhook', 'admin'],
+    default: 'api'
+  },
+  webhookEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEvent'
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ order: 1, createdAt: 1 });
+paymentSchema.index({ kind: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+// A capture is reported by both the client's confirmation and the webhook; keep one.
+// Captures reported without a transaction id are kept apart per order (see recordCapture).
+paymentSchema.index(
+  { provider: 1, transactionId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'capture', transactionId: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { refund: 1 },
+  { unique: true, partialFilterExpression: { kind: 'refund' } }
+);
+
+// Record a provider payment opened for an order
+paymentSchema.statics.recordAttempt = function(order, { provider, providerPaymentId, amount, currency }) {
+  return this.create({
+    order: order._id,
+    user: order.user,
+    kind: 'attempt',
+    provider,
+    providerPaymentId,
+    status: 'created',
+    amount,
+    currency
+  });
+};
+
+// Record money taken for an order. Recording the same capture again is a no-op.
+// Without a transaction id the capture is matched on the order and provider payment instead,
+// so it can't be mistaken for another order's capture.
+paymentSchema.statics.recordCapture = function(order, { provider, providerPaymentId, transactionId, amount, currency, paymentMethod, source = 'api', webhookEvent = null }) {
+  const key = transactionId
+    ? { kind: 'capture', provider, transactionId }
+    : { kind: 'capture', provider, order: order._id, providerPaymentId: providerPaymentId || null, transactionId: null };
+
+  return this.findOneAndUpdate(
+    key,
+    {
+      $setOnInsert: {
+        order: order._id,
+        user: order.user,
+        providerPaymentId,
+        status: 'succeeded',
+        amount,
+        currency,
+        paymentMethod,
+        source,
+        webhookEvent
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Record a failed or abandoned payment attempt
+paymentSchema.statics.recordFailure = function(order, { provider, providerPaymentId, amount, currency, reason, source = 'api', webhookEvent = null }) {
+  return this.create({
+    order: order._id,
+    user: order.user,
+    kind: 'failure',
+    provider,
+    providerPaymentId,
+    status: 'failed',
+    amount,
+    currency,
+    reason,
+    source,
+    webhookEvent
+  });
+};
+
+// Record one of the order's refunds, or bring its entry up to date as it's settled
+paymentSchema.statics.recordRefund = function(order, refund, { source = 'api', webhookEvent = null } = {}) {
+  const update = {
+    $set: {
+      status: refund.status,
+      providerRefundId: refund.providerRefundId,
+      reason: refund.status === 'failed' ? refund.failureReason : refund.reason
+    },
+    $setOnInsert: {
+      order: order._id,
+      user: order.user,
+      provider: refund.provider,
+      providerPaymentId: order.paymentDetails.providerPaymentId,
+      amount: refund.amount,
+      currency: order.paymentDetails.currency || config.payments.currency,
+      paymentMethod: refund.method,
+      source
+    }
+  };
+  if (webhookEvent) update.$set.webhookEvent = webhookEvent;
+
+  return this.findOneAndUpdate({ kind: 'refund', refund: refund._id }, update, {
+    upsert: true,
+    new: true,
+    setDefaultsOnInsert: true
+  });
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -178,23 +178,84 @@ productSchema.virtual('totalStock').get(function() {
   return this.sizes.reduce((total, size) => total + size.stock, 0);
 });
 
-// Method to check if product is in stock
-productSchema.methods.isInStock = function(size) {
+// Find a product by its ObjectId, falling back to the client's pseudo IDs (e.g. makhana01)
+productSchema.statics.findByClientId = async function(productId) {
+  const id = String(productId);
+  let product = null;
+  if (id.match(/^[0-9a-fA-F]{24}$/)) {
+    product = await this.findById(id);
+  }
+  if (!product) {
+    // Fallback: attempt to find by pseudo ID pattern using name prefix.
+    // The prefix is matched literally and must not be empty, or it would match any product.
+    const pseudo = id.replace(/[0-9]+$/, '').trim();
+    if (!pseudo) return null;
+    const escaped = pseudo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    product = await this.findOne({ name: new RegExp(escaped, 'i') });
+  }
+  return product;
+};
+
+// Method to check if product is in stock (optionally for a given quantity)
+productSchema.methods.isInStock = function(size, quantity = 1) {
   const sizeObj = this.sizes.find(s => s.size === size);
-  return sizeObj && sizeObj.stock > 0;
+  return Boolean(sizeObj) && sizeObj.stock >= quantity;
 };
 
 // Method to update stock
 productSchema.methods.updateStock = function(size, quantity) {
   const sizeObj = this.sizes.find(s => s.size === size);
-  if (sizeObj) {
-    sizeObj.stock = Math.max(0, sizeObj.stock - quantity);
+  if (sizeObj && sizeObj.stock >= quantity) {
+    sizeObj.stock -= quantity;
     this.inStock = this.sizes.some(s => s.stock > 0);
     return true;
   }
   return false;
 };
 
+// Atomically take stock for one size. The conditional $inc only matches when the
+// size still has at least `quantity` left, so concurrent checkouts cannot oversell.
+// Returns the updated product, or null if there wasn't enough stock.
+productSchema.statics.reserveStock = async function(productId, size, quantity, session = null) {
+  const product = await this.findOneAndUpdate(
+    { _id: productId, sizes: { $elemMatch: { size, stock: { $gte: quantity } } } },
+    { $inc: { 'sizes.$.stock': -quantity } },
+    { new: true, session }
+  );
+  if (!product) return null;
+
+  // Flip inStock off once no size has stock left
+  if (!product.sizes.some(s => s.stock > 0)) {
+    await this.updateOne({ _id: productId }, { $set: { inStock: false } }, { session });
+    product.inStock = false;
+  }
+  return product;
+};
+
+// Atomically put stock back for one size. Returns the updated product, or null if the size is gone.
+productSchema.statics.releaseStock = function(productId, size, quantity, session = null) {
+  return this.findOneAndUpdate(
+    { _id: productId, 'sizes.size': size },
+    { $inc: { 'sizes.$.stock': quantity }, $set: { inStock: true } },
+    { new: true, session }
+  );
+};
+
+// Atomically set the stock level for one size. Returns the product as it was
+// before the update (so the caller can work out the delta), or null if the size is gone.
+productSchema.statics.setStockLevel = async function(productId, size, level, session = null) {
+  const previous = await this.findOneAndUpdate(
+    { _id: productId, 'sizes.size': size },
+    { $set: { 'sizes.$.stock': level } },
+    { new: false, session }
+  );
+  if (!previous) return null;
+
+  const inStock = previous.sizes.some(s => (s.size === size ? level : s.stock) > 0);
+  await this.updateOne({ _id: productId }, { $set: { inStock } }, { session });
+  return previous;
+};
+
 // Method to calculate average rating
 productSchema.methods.updateRating = function(newRating) {
   const totalRating = (this.rating * this.reviewCount) + newRating;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { calculateRuleDiscount, availableRuleType } = require('../utils/discounts');
+
+// Promotion types whose value comes from the `discount` field
+const VALUE_TYPES = ['percentage', 'fixed'];
+
+// Automatic discount applied by the cart and checkout without a code.
+// Discount fields mirror Coupon so both are priced by utils/discounts.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: ['percentage', 'fixed', 'bogo', 'free_shipping', 'tiered'],
+    validate: availableRuleType,
+    default: 'percentage'
+  },
+  discount: {
+    type: Number,
+    required: [function() { return VALUE_TYPES.includes(this.type); }, 'Discount amount is required'],
+    min: [0, 'Discount cannot be negative']
+  },
+  tiers: [{
+    minAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Tier threshold cannot be negative']
+    },
+    discount: {
+      type: Number,
+      required: true,
+      min: [0, 'Discount cannot be negative']
+    },
+    type: {
+      type: String,
+      enum: VALUE_TYPES,
+      default: 'percentage'
+    }
+  }],
+  bogo: {
+    buyQuantity: {
+      type: Number,
+      min: [1, 'Buy quantity must be at least 1'],
+      default: 1
+    },
+    getQuantity: {
+      type: Number,
+      min: [1, 'Get quantity must be at least 1'],
+      default: 1
+    },
+    getDiscount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+      default: 100
+    }
+  },
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  skus: [{
+    type: String,
+    trim: true
+  }],
+  excludedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  excludedSkus: [{
+    type: String,
+    trim: true
+  }],
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order amount cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Higher priority promotions are evaluated first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  stacking: {
+    // Apply alongside a manually entered coupon; otherwise the coupon wins
+    withCoupons: {
+      type: Boolean,
+      default: false
+    },
+    // Apply alongside other automatic promotions; otherwise only one of them applies
+    withPromotions: {
+      type: Boolean,
+      default: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+promotionSchema.index({ priority: -1 });
+
+// Active promotions running right now, highest priority first
+promotionSchema.statics.findRunning = function(now = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gte: now }
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Method to calculate discount amount
+// Returns { amount, shippingDiscount, allocations } with the item discount split per line
+promotionSchema.methods.calculateDiscount = function(orderAmount, items = [], { shippingCost = 0 } = {}) {
+  return calculateRuleDiscount(this, orderAmount, items, { shippingCost });
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Result of comparing our orders and payment ledger with each other and, when finance
+// uploads one, a provider settlement export for the same period
+const reconciliationReportSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['stripe', 'razorpay', 'fake']
+  },
+  // 'ledger' reports come from the daily job; 'settlement' reports from an uploaded export
+  source: {
+    type: String,
+    required: true,
+    enum: ['ledger', 'settlement']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  fileName: String,
+  summary: {
+    settlementRows: { type: Number, default: 0 },
+    ordersChecked: { type: Number, default: 0 },
+    capturesChecked: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 },
+    capturedAmount: { type: Number, default: 0 }
+  },
+  mismatches: [{
+    type: {
+      type: String,
+      enum: ['amount_mismatch', 'status_mismatch', 'missing_order', 'missing_payment', 'missing_settlement']
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: String,
+    transactionId: String,
+    providerRefundId: String,
+    expected: String,
+    actual: String,
+    message: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ provider: 1, source: 1, periodStart: -1 });
+// The daily job writes one ledger report per provider and day, even with several app instances
+reconciliationReportSchema.index(
+  { provider: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { source: 'ledger' } }
+);
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// How long a delivery may hold an event in "processing" before a redelivery takes it over
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Payment provider webhook events we've seen, so redelivered events are only processed once
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['stripe', 'razorpay', 'fake']
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // The event as the provider sent it, for payment ledger entries to refer back to
+  payload: mongoose.Schema.Types.Mixed,
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Claim an event for processing. Returns null if it has already been processed
+// (or another delivery is processing it right now). A previously failed event is claimed
+// again, and so is one whose claim is older than CLAIM_TIMEOUT_MS: the process handling
+// it died before marking it processed or failed.
+webhookEventSchema.statics.claim = async function(provider, eventId, type, payload = null) {
+  try {
+    return await this.create({ provider, eventId, type, payload });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const staleBefore = new Date(Date.now() - CLAIM_TIMEOUT_MS);
+    return this.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Method to mark the event as done
+webhookEventSchema.methods.markProcessed = function(orderId = null) {
+  this.status = 'processed';
+  this.order = orderId || this.order;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Method to mark the event as failed so the provider's retry can process it again
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error && error.message ? error.message : String(error);
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -5,7 +5,31 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Promotion = require('../models/Promotion');
+const CouponCampaign = require('../models/CouponCampaign');
+const InventoryMovement = require('../models/InventoryMovement');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { uploadCsv } = require('../middleware/upload');
 const { logger } = require('../utils/logger');
+const {
+  recordStockChanges,
+  reconcileProductStock,
+  recordReconciliationAdjustments
+} = require('../utils/inventory');
+const { issueRefund, settleManualRefund } = require('../utils/refunds');
+const {
+  previousDay,
+  parseSettlementCsv,
+  reconcilePayments,
+  writeReportCsv
+} = require('../utils/reconciliation');
+const {
+  generateCampaignCoupons,
+  getCampaignStats,
+  writeCampaignCsv
+} = require('../utils/couponCampaigns');
 
 // Apply admin middleware to all routes
 router.use(protect);
@@ -361,6 +385,7 @@ router.post('/products', async (req, res) => {
   try {
     const product = new Product(req.body);
     await product.save();
+    await recordStockChanges([], product, { actor: req.user._id, note: 'Initial stock' });
 
     res.status(201).json({
       success: true,
@@ -379,6 +404,9 @@ router.post('/products', async (req, res) => {
 router.put('/products/:id', async (req, res) => {
   try {
     const { id } = req.params;
+
+    // Keep the previous stock levels so edits to sizes land in the inventory ledger
+    const before = req.body.sizes ? await Product.findById(id).select('sizes') : null;
     
     const product = await Product.findByIdAndUpdate(
       id,
@@ -393,6 +421,10 @@ router.put('/products/:id', async (req, res) => {
       });
     }
 
+    if (before) {
+      await recordStockChanges(before.sizes, product, { actor: req.user._id, note: 'Product edit' });
+    }
+
     res.json({
       success: true,
       data: product,
@@ -476,13 +508,9 @@ router.get('/orders', async (req, res) => {
 router.put('/orders/:id/status', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, notes } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { orderStatus: status },
-      { new: true }
-    ).populate('user', 'firstName lastName email');
+    const order = await Order.findById(id).populate('user', 'firstName lastName email');
 
     if (!order) {
       return res.status(404).json({
@@ -491,12 +519,21 @@ router.put('/orders/:id/status', async (req, res) => {
       });
     }
 
+    // Goes through the transition graph so timestamps, restocking and history are applied
+    await order.updateStatus(status, notes, req.user._id);
+
     res.json({
       success: true,
       data: order,
       message: 'Order status updated successfully'
     });
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -505,7 +542,465 @@ router.put('/orders/:id/status', async (req, res) => {
   }
 });
 
+// Refund a paid order, in full or in part. Card/UPI payments go back through the provider
+// that took them; COD orders take store_credit or bank_transfer. Amount and method default
+// to an approved return's refundAmount/refundMethod, otherwise everything still refundable.
+router.post('/orders/:id/refunds', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const returnApproved = order.returnRequest && order.returnRequest.status === 'approved';
+    const {
+      amount = returnApproved && order.returnRequest.refundAmount
+        ? Math.min(order.returnRequest.refundAmount, order.getRefundableAmount())
+        : order.getRefundableAmount(),
+      method = (returnApproved && order.returnRequest.refundMethod) || 'original_payment',
+      reason = ''
+    } = req.body;
+
+    if (!['original_payment', 'store_credit', 'bank_transfer'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid refund method'
+      });
+    }
+
+    const { refund, order: refundedOrder } = await issueRefund(order, { amount: Number(amount), method, reason, by: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: { refund, order: refundedOrder },
+      message: refund.status === 'processed' ? 'Refund processed' : 'Refund issued; awaiting confirmation'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Issue refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing refund'
+    });
+  }
+});
+
+// Confirm a store credit or bank transfer refund once it has been made (or mark it failed)
+router.put('/orders/:id/refunds/:refundId', async (req, res) => {
+  try {
+    const { status, reference = '', failureReason = '' } = req.body;
+
+    if (!['processed', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be processed or failed'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = await settleManualRefund(order, req.params.refundId, {
+      status,
+      reference,
+      failureReason,
+      by: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: { refund, order },
+      message: `Refund marked ${status}`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Settle refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating refund'
+    });
+  }
+});
+
+// ==================== PAYMENTS ====================
+// Payment ledger entries with totals for finance reporting
+router.get('/payments', async (req, res) => {
+  try {
+    const { kind = '', provider = '', status = '', from = '', to = '', page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (kind) query.kind = kind;
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await Payment.find(query)
+      .populate('order', 'orderNumber total paymentStatus')
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Payment.countDocuments(query);
+
+    const totals = await Payment.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: { kind: '$kind', status: '$status' },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const sumOf = (kindName, statusName) => totals
+      .filter(row => row._id.kind === kindName && (!statusName || row._id.status === statusName))
+      .reduce((sum, row) => sum + row.amount, 0);
+    const captured = sumOf('capture');
+    const refunded = sumOf('refund', 'processed');
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        summary: {
+          captured,
+          refunded,
+          pendingRefunds: sumOf('refund', 'pending'),
+          net: Math.round((captured - refunded) * 100) / 100,
+          breakdown: totals.map(row => ({ ...row._id, count: row.count, amount: row.amount }))
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payments'
+    });
+  }
+});
+
+// ==================== PAYMENT RECONCILIATION ====================
+// Stored reconciliation reports, newest period first (without their mismatch lists)
+router.get('/reconciliation/reports', async (req, res) => {
+  try {
+    const { provider = '', source = '', page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (source) query.source = source;
+
+    const reports = await ReconciliationReport.find(query)
+      .select('-mismatches')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReconciliationReport.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReports: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation reports'
+    });
+  }
+});
+
+// Reconcile a provider's payments for a period (yesterday by default). With a settlement
+// export uploaded as `file` (multipart), it is compared against our records too.
+router.post('/reconciliation/reports', uploadCsv, async (req, res) => {
+  try {
+    const { provider, from, to } = req.body;
+
+    if (!['stripe', 'razorpay', 'fake'].includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provider must be stripe, razorpay or fake'
+      });
+    }
+
+    const period = previousDay();
+    const periodStart = from ? new Date(from) : period.periodStart;
+    const periodEnd = to ? new Date(to) : period.periodEnd;
+    if (isNaN(periodStart) || isNaN(periodEnd) || periodStart >= periodEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reconciliation period'
+      });
+    }
+
+    const settlementRows = req.file ? parseSettlementCsv(req.file.buffer.toString('utf8'), provider) : null;
+
+    const report = await reconcilePayments({
+      provider,
+      periodStart,
+      periodEnd,
+      settlementRows,
+      fileName: req.file && req.file.originalname,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: report,
+      message: `Reconciliation found ${report.mismatches.length} mismatch(es)`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A ledger report for this provider and period already exists' });
+    }
+    logger.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running reconciliation'
+    });
+  }
+});
+
+router.get('/reconciliation/reports/:id', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email');
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation report'
+    });
+  }
+});
+
+// Download a report's mismatches as CSV
+router.get('/reconciliation/reports/:id/download', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const day = report.periodStart.toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${report.provider}-${day}.csv"`);
+    writeReportCsv(report, res);
+    res.end();
+  } catch (error) {
+    logger.error('Download reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading reconciliation report'
+    });
+  }
+});
+
+// ==================== INVENTORY ====================
+// Movement history for a product, optionally narrowed to one size or SKU
+router.get('/inventory/movements', async (req, res) => {
+  try {
+    const { productId = '', size = '', sku = '', page = 1, limit = 50 } = req.query;
+
+    if (!productId && !sku) {
+      return res.status(400).json({
+        success: false,
+        message: 'productId or sku is required'
+      });
+    }
+
+    const query = {};
+    if (productId) query.product = productId;
+    if (size) query.size = size;
+    if (sku) query.sku = sku;
+
+    const movements = await InventoryMovement.find(query)
+      .populate('order', 'orderNumber')
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await InventoryMovement.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalMovements: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get inventory movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory movements'
+    });
+  }
+});
+
+// Compare the movement ledger with current stock levels
+router.get('/inventory/:productId/reconcile', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const sizes = await reconcileProductStock(product, req.query.size || null);
+
+    res.json({
+      success: true,
+      data: {
+        product: { _id: product._id, name: product.name },
+        sizes,
+        inSync: sizes.every(s => s.status === 'ok')
+      }
+    });
+  } catch (error) {
+    logger.error('Inventory reconcile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling inventory'
+    });
+  }
+});
+
+// Record correcting movements so the ledger matches current stock levels
+router.post('/inventory/:productId/reconcile', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const adjustments = await recordReconciliationAdjustments(product, req.body.size || null, req.user._id);
+
+    res.json({
+      success: true,
+      data: { adjustments },
+      message: `${adjustments.length} reconciliation adjustment(s) recorded`
+    });
+  } catch (error) {
+    logger.error('Inventory reconcile adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording reconciliation adjustments'
+    });
+  }
+});
+
 // ==================== COUPON MANAGEMENT ====================
+// Redemptions of a coupon, newest first, with totals
+router.get('/coupons/:id/redemptions', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, includeReleased = 'false' } = req.query;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const query = { coupon: coupon._id };
+    if (includeReleased !== 'true') query.releasedAt = null;
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('order', 'orderNumber total orderStatus')
+      .sort({ at: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CouponRedemption.countDocuments(query);
+
+    const summary = await CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id, releasedAt: null } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$amount' },
+          users: { $addToSet: '$user' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coupon: { _id: coupon._id, code: coupon.code, usedCount: coupon.usedCount },
+        summary: {
+          redemptions: summary[0]?.redemptions || 0,
+          totalDiscount: summary[0]?.totalDiscount || 0,
+          uniqueUsers: summary[0]?.users.length || 0
+        },
+        redemptions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRedemptions: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get coupon redemptions error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching coupon redemptions' });
+  }
+});
+
 // Get a single coupon by ID
 router.get('/coupons/:id', async (req, res) => {
   try {
@@ -631,6 +1126,280 @@ router.delete('/coupons/:id', async (req, res) => {
   }
 });
 
+// ==================== COUPON CAMPAIGNS ====================
+router.get('/coupon-campaigns', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const campaigns = await CouponCampaign.find()
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CouponCampaign.countDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCampaigns: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get coupon campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon campaigns'
+    });
+  }
+});
+
+// Create a campaign and generate its codes.
+// Body: name, description, prefix, codeLength, alphabet, quantity and `coupon`
+// (discount, validity and limit fields copied onto every code)
+router.post('/coupon-campaigns', async (req, res) => {
+  let campaign;
+  try {
+    const { name, description, prefix, codeLength, alphabet, quantity, coupon } = req.body;
+
+    campaign = new CouponCampaign({
+      name,
+      description,
+      prefix,
+      codeLength,
+      alphabet,
+      couponTemplate: coupon,
+      createdBy: req.user._id
+    });
+    await campaign.save();
+
+    const generated = await generateCampaignCoupons(campaign, parseInt(quantity));
+
+    res.status(201).json({
+      success: true,
+      data: { campaign, generated },
+      message: `Campaign created with ${generated} codes`
+    });
+  } catch (error) {
+    // Don't leave an empty campaign behind if no codes could be generated
+    if (campaign && !campaign.isNew && campaign.generatedCount === 0) {
+      await CouponCampaign.deleteOne({ _id: campaign._id });
+    }
+    if (error.name === 'ValidationError' || error.statusCode) {
+      return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+    }
+    logger.error('Create coupon campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon campaign'
+    });
+  }
+});
+
+// Generate more codes for an existing campaign
+router.post('/coupon-campaigns/:id/codes', async (req, res) => {
+  try {
+    const campaign = await CouponCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+
+    const generated = await generateCampaignCoupons(campaign, parseInt(req.body.quantity));
+
+    res.status(201).json({
+      success: true,
+      data: { campaign, generated },
+      message: `${generated} codes generated`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Generate campaign codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating campaign codes'
+    });
+  }
+});
+
+router.get('/coupon-campaigns/:id/stats', async (req, res) => {
+  try {
+    const campaign = await CouponCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+
+    const stats = await getCampaignStats(campaign);
+
+    res.json({ success: true, data: { campaign, stats } });
+  } catch (error) {
+    logger.error('Get campaign stats error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching campaign stats' });
+  }
+});
+
+// Download every code in a campaign as CSV
+router.get('/coupon-campaigns/:id/export', async (req, res) => {
+  try {
+    const campaign = await CouponCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+
+    const filename = `${campaign.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-codes.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await writeCampaignCsv(campaign, res);
+    res.end();
+  } catch (error) {
+    logger.error('Export campaign codes error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, message: 'Error exporting campaign codes' });
+  }
+});
+
+// ==================== PROMOTIONS ====================
+// Automatic promotions, highest priority first
+router.get('/promotions', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = '' } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'active') {
+      Object.assign(query, { isActive: true, startsAt: { $lte: now }, endsAt: { $gte: now } });
+    }
+    if (status === 'scheduled') Object.assign(query, { isActive: true, startsAt: { $gt: now } });
+    if (status === 'expired') query.endsAt = { $lt: now };
+    if (status === 'inactive') query.isActive = false;
+
+    const promotions = await Promotion.find(query)
+      .sort({ priority: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Promotion.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        promotions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalPromotions: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions'
+    });
+  }
+});
+
+router.get('/promotions/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+    res.json({ success: true, data: { promotion } });
+  } catch (error) {
+    logger.error('Get promotion by ID error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching promotion' });
+  }
+});
+
+router.post('/promotions', async (req, res) => {
+  try {
+    const promotion = new Promotion(req.body);
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      data: promotion,
+      message: 'Promotion created successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promotion'
+    });
+  }
+});
+
+router.put('/promotions/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion,
+      message: 'Promotion updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Update promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion'
+    });
+  }
+});
+
+router.delete('/promotions/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting promotion'
+    });
+  }
+});
+
 // ==================== ANALYTICS ====================
 router.get('/analytics/sales', async (req, res) => {
   try {
@@ -811,6 +1580,8 @@ router.put('/products/edit/:id', async (req, res) => {
       });
     }
 
+    const previousSizes = product.sizes.map(s => ({ size: s.size, stock: s.stock }));
+
     // Update product
     product.name = name;
     product.description = description;
@@ -823,6 +1594,7 @@ router.put('/products/edit/:id', async (req, res) => {
     product.featured = featured || false;
 
     await product.save();
+    await recordStockChanges(previousSizes, product, { actor: req.user._id, note: 'Product edit' });
 
     res.json({
       success: true,
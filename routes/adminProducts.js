@@ -4,6 +4,7 @@ const { protect, admin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const Product = require('../models/Product');
 const { logger } = require('../utils/logger');
+const { recordStockChanges } = require('../utils/inventory');
 const router = express.Router();
 const Category = require('../models/Category');
 
@@ -51,8 +52,10 @@ router.put('/:id', protect, admin, [
   if (!product) {
     return res.status(404).json({ success: false, message: 'Product not found' })
   }
+  const previousSizes = product.sizes.map(s => ({ size: s.size, stock: s.stock }))
   Object.assign(product, { ...req.body, category: categoryDoc.name })
   await product.save()
+  await recordStockChanges(previousSizes, product, { actor: req.user._id, note: 'Product edit' })
   res.json({ success: true, message: 'Product updated', data: { product } })
 }))
 
@@ -86,6 +89,7 @@ router.post('/', protect, admin, [
   }
   try {
     const product = await Product.create({ ...req.body, category: categoryDoc.name });
+    await recordStockChanges([], product, { actor: req.user._id, note: 'Initial stock' });
     res.status(201).json({ success: true, message: 'Product created', data: { product } });
   } catch (e) {
     logger.error('Admin product create error:', e);
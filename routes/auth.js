@@ -5,6 +5,7 @@ const { protect } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const { sendEmail } = require('../utils/email');
+const { mergeGuestCart } = require('../utils/cart');
 const { validatePasswordStrength, validateIndianPhone } = require('../utils/validation');
 
 const router = express.Router();
@@ -88,6 +89,14 @@ router.post('/register', [
     logger.error('Welcome email error:', error);
   }
 
+  // Move any guest cart over to the new account
+  let cartMerge = null;
+  try {
+    cartMerge = await mergeGuestCart(req, res, user);
+  } catch (error) {
+    logger.error('Guest cart merge error:', error);
+  }
+
   // Generate JWT token
   const token = user.generateAuthToken();
 
@@ -102,7 +111,8 @@ router.post('/register', [
     message: 'User registered successfully. Welcome to VIBE BITES!',
     token: token, // Include token in response for localStorage
     data: {
-      user
+      user,
+      cartMerge
     }
   });
 }));
@@ -160,6 +170,14 @@ router.post('/login', [
   user.lastLogin = new Date();
   await user.save();
 
+  // Combine any guest cart with the user's saved cart
+  let cartMerge = null;
+  try {
+    cartMerge = await mergeGuestCart(req, res, user);
+  } catch (error) {
+    logger.error('Guest cart merge error:', error);
+  }
+
   // Generate JWT token
   const token = user.generateAuthToken();
 
@@ -174,7 +192,8 @@ router.post('/login', [
     message: 'Login successful',
     token: token, // Include token in response for localStorage
     data: {
-      user
+      user,
+      cartMerge
     }
   });
 }));
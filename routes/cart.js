@@ -1,30 +1,37 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const { optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const {
+  resolveCartOwner,
+  toCartItem,
+  resolveCartProduct,
+  refreshCartItems,
+  calculateCartTotals
+} = require('../utils/cart');
 
 const router = express.Router();
 
-// In-memory cart storage (in production, use Redis or database)
-const userCarts = new Map();
-
 // @route   GET /api/cart
-// @desc    Get user's cart
-// @access  Private
-router.get('/', protect, asyncHandler(async (req, res) => {
-  const cart = userCarts.get(req.user._id.toString()) || { items: [], appliedCoupon: null };
-  
+// @desc    Get the current user's or guest's cart with computed totals
+// @access  Public (guest cart via signed cookie, user cart when logged in)
+router.get('/', optionalAuth, resolveCartOwner, asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne(req.cartOwner) || { items: [], appliedCoupon: null };
+  const totals = await calculateCartTotals(cart, req.user && req.user._id);
+
   res.json({
     success: true,
-    data: { cart }
+    data: { cart, totals }
   });
 }));
 
 // @route   POST /api/cart/add
 // @desc    Add item to cart
-// @access  Private
-router.post('/add', protect, [
+// @access  Public (guest cart via signed cookie, user cart when logged in)
+router.post('/add', optionalAuth, resolveCartOwner, [
   body('productId')
     .notEmpty()
     .withMessage('Product ID is required'),
@@ -34,6 +41,7 @@ router.post('/add', protect, [
   body('quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1')
+    .toInt()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -45,50 +53,44 @@ router.post('/add', protect, [
   }
 
   const { productId, size, quantity } = req.body;
-  const userId = req.user._id.toString();
 
-  // Get or create user cart
-  let cart = userCarts.get(userId);
-  if (!cart) {
-    cart = { items: [], appliedCoupon: null };
+  // Look up the real product and size
+  const { product, sizeObj, status, message } = await resolveCartProduct(productId, size);
+  if (!product) {
+    return res.status(status).json({
+      success: false,
+      message
+    });
   }
 
-  // Check if item already exists in cart
-  const existingItemIndex = cart.items.findIndex(
-    item => item.productId === productId && item.size === size
-  );
-
-  if (existingItemIndex > -1) {
-    // Update quantity
-    cart.items[existingItemIndex].quantity += quantity;
-  } else {
-    // Add new item (in real app, fetch product details from database)
-    cart.items.push({
-      productId,
-      size,
-      quantity,
-      // These would come from database in real implementation
-      name: 'Product Name',
-      price: 100,
-      image: '/images/product.jpg',
-      category: 'Makhana'
+  if (sizeObj.stock <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${product.name} (${size}) is out of stock`
     });
   }
 
-  // Save cart
-  userCarts.set(userId, cart);
+  // Get or create the cart
+  const cart = await Cart.findOrCreate(req.cartOwner);
+  cart.addItem(toCartItem(product, sizeObj, quantity));
+
+  // Re-price the cart and clamp quantities to stock
+  const adjustments = await refreshCartItems(cart);
+  await cart.save();
+
+  const totals = await calculateCartTotals(cart, req.user && req.user._id);
 
   res.json({
     success: true,
     message: 'Item added to cart successfully',
-    data: { cart }
+    data: { cart, totals, adjustments }
   });
 }));
 
 // @route   PUT /api/cart/update
 // @desc    Update cart item quantity
-// @access  Private
-router.put('/update', protect, [
+// @access  Public (guest cart via signed cookie, user cart when logged in)
+router.put('/update', optionalAuth, resolveCartOwner, [
   body('productId')
     .notEmpty()
     .withMessage('Product ID is required'),
@@ -98,6 +100,7 @@ router.put('/update', protect, [
   body('quantity')
     .isInt({ min: 0 })
     .withMessage('Quantity must be non-negative')
+    .toInt()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -109,9 +112,8 @@ router.put('/update', protect, [
   }
 
   const { productId, size, quantity } = req.body;
-  const userId = req.user._id.toString();
 
-  const cart = userCarts.get(userId);
+  const cart = await Cart.findOne(req.cartOwner);
   if (!cart) {
     return res.status(404).json({
       success: false,
@@ -119,38 +121,34 @@ router.put('/update', protect, [
     });
   }
 
-  const itemIndex = cart.items.findIndex(
-    item => item.productId === productId && item.size === size
-  );
+  // Cart lines are keyed by the real product ID, so map client pseudo IDs first
+  const { product } = await resolveCartProduct(productId, size);
+  const itemProductId = product ? product._id.toString() : productId;
 
-  if (itemIndex === -1) {
+  // Quantity 0 removes the item
+  if (!cart.setItemQuantity(itemProductId, size, quantity)) {
     return res.status(404).json({
       success: false,
       message: 'Item not found in cart'
     });
   }
 
-  if (quantity === 0) {
-    // Remove item
-    cart.items.splice(itemIndex, 1);
-  } else {
-    // Update quantity
-    cart.items[itemIndex].quantity = quantity;
-  }
+  const adjustments = await refreshCartItems(cart);
+  await cart.save();
 
-  userCarts.set(userId, cart);
+  const totals = await calculateCartTotals(cart, req.user && req.user._id);
 
   res.json({
     success: true,
     message: 'Cart updated successfully',
-    data: { cart }
+    data: { cart, totals, adjustments }
   });
 }));
 
 // @route   DELETE /api/cart/remove
 // @desc    Remove item from cart
-// @access  Private
-router.delete('/remove', protect, [
+// @access  Public (guest cart via signed cookie, user cart when logged in)
+router.delete('/remove', optionalAuth, resolveCartOwner, [
   body('productId')
     .notEmpty()
     .withMessage('Product ID is required'),
@@ -168,9 +166,8 @@ router.delete('/remove', protect, [
   }
 
   const { productId, size } = req.body;
-  const userId = req.user._id.toString();
 
-  const cart = userCarts.get(userId);
+  const cart = await Cart.findOne(req.cartOwner);
   if (!cart) {
     return res.status(404).json({
       success: false,
@@ -178,34 +175,35 @@ router.delete('/remove', protect, [
     });
   }
 
-  const itemIndex = cart.items.findIndex(
-    item => item.productId === productId && item.size === size
-  );
+  // Removal must still work if the product has since been deleted from the catalog
+  const { product } = await resolveCartProduct(productId, size);
+  const removed = (product && cart.removeItem(product._id.toString(), size)) ||
+    cart.removeItem(productId, size);
 
-  if (itemIndex === -1) {
+  if (!removed) {
     return res.status(404).json({
       success: false,
       message: 'Item not found in cart'
     });
   }
 
-  cart.items.splice(itemIndex, 1);
-  userCarts.set(userId, cart);
+  const adjustments = await refreshCartItems(cart);
+  await cart.save();
+
+  const totals = await calculateCartTotals(cart, req.user && req.user._id);
 
   res.json({
     success: true,
     message: 'Item removed from cart successfully',
-    data: { cart }
+    data: { cart, totals, adjustments }
   });
 }));
 
 // @route   DELETE /api/cart/clear
-// @desc    Clear user's cart
-// @access  Private
-router.delete('/clear', protect, asyncHandler(async (req, res) => {
-  const userId = req.user._id.toString();
-  
-  userCarts.delete(userId);
+// @desc    Clear the current cart
+// @access  Public (guest cart via signed cookie, user cart when logged in)
+router.delete('/clear', optionalAuth, resolveCartOwner, asyncHandler(async (req, res) => {
+  await Cart.deleteOne(req.cartOwner);
 
   res.json({
     success: true,
@@ -215,22 +213,58 @@ router.delete('/clear', protect, asyncHandler(async (req, res) => {
 
 // Sync entire cart from client (optional helper)
 // @route   PUT /api/cart/sync
-// @desc    Replace user's cart with client state
-// @access  Private
-router.put('/sync', protect, [
-  body('items').isArray().withMessage('Items array required')
+// @desc    Replace the current cart with client state (priced from the catalog)
+// @access  Public (guest cart via signed cookie, user cart when logged in)
+router.put('/sync', optionalAuth, resolveCartOwner, [
+  body('items').isArray().withMessage('Items array required'),
+  body('items.*.productId')
+    .notEmpty()
+    .withMessage('Product ID is required'),
+  body('items.*.size')
+    .notEmpty()
+    .withMessage('Size is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt()
 ], asyncHandler(async (req, res) => {
-  console.log('CART SYNC: USER ID', req.user && req.user._id);
-  console.log('CART SYNC: BODY', req.body);
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ success: false, errors: errors.array() });
   }
-  const userId = req.user._id.toString();
   const { items, appliedCoupon } = req.body;
-  const cart = { items, appliedCoupon: appliedCoupon || null };
-  userCarts.set(userId, cart);
-  res.json({ success: true, message: 'Cart synced', data: { cart } });
+  const cart = await Cart.findOrCreate(req.cartOwner);
+
+  // Only product, size and quantity are taken from the client; everything else comes from the catalog
+  const adjustments = [];
+  cart.items = [];
+  for (const item of items) {
+    const { product, sizeObj, message } = await resolveCartProduct(item.productId, item.size);
+    if (!product) {
+      adjustments.push({ productId: item.productId, size: item.size, reason: 'rejected', message });
+      continue;
+    }
+    cart.addItem(toCartItem(product, sizeObj, item.quantity));
+  }
+  adjustments.push(...await refreshCartItems(cart));
+
+  // Coupon details are looked up server-side; the client only supplies the code
+  cart.appliedCoupon = null;
+  const couponCode = typeof appliedCoupon === 'string' ? appliedCoupon : appliedCoupon && appliedCoupon.code;
+  if (couponCode) {
+    const coupon = await Coupon.findOne({ code: String(couponCode).toUpperCase() });
+    if (coupon) {
+      cart.appliedCoupon = { code: coupon.code, discount: coupon.discount, type: coupon.type };
+    } else {
+      logger.warn(`Cart sync ignored unknown coupon ${couponCode}`);
+    }
+  }
+
+  await cart.save();
+
+  const totals = await calculateCartTotals(cart, req.user && req.user._id);
+
+  res.json({ success: true, message: 'Cart synced', data: { cart, totals, adjustments } });
 }));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Coupon = require('../models/Coupon');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getCouponUserContext } = require('../utils/coupons');
 
 const router = express.Router();
 
@@ -23,7 +24,7 @@ router.get('/', asyncHandler(async (req, res) => {
 // @route   POST /api/coupons/validate
 // @desc    Validate a coupon code
 // @access  Public (authentication optional for guest users)
-router.post('/validate', [
+router.post('/validate', optionalAuth, [
   body('code')
     .notEmpty()
     .withMessage('Coupon code is required')
@@ -62,25 +63,28 @@ router.post('/validate', [
   let isFirstTime = true; // Default for guest users
   let userId = null;
   
+  let userRedemptions = 0;
+
   if (req.user) {
-    isFirstTime = !req.user.orders || req.user.orders.length === 0;
     userId = req.user._id;
+    ({ isFirstTime, userRedemptions } = await getCouponUserContext(coupon, userId));
   }
   
-  const canBeApplied = coupon.canBeApplied(orderAmount, userId, isFirstTime);
-  console.log('COUPON CAN BE APPLIED:', canBeApplied);
+  const { canApply, reasons } = coupon.canBeApplied(orderAmount, userId, isFirstTime, userRedemptions, items);
+  console.log('COUPON CAN BE APPLIED:', canApply);
 
-  if (!canBeApplied) {
+  if (!canApply) {
     console.log('COUPON CANNOT BE APPLIED:', code, 'OrderAmount:', orderAmount, 'User:', userId);
     return res.status(400).json({
       success: false,
-      message: 'Coupon cannot be applied to this order'
+      message: reasons[0].message,
+      reasons
     });
   }
 
   // Calculate discount
   // Pass full items list; model method filters by categories if defined
-  const discountAmount = coupon.calculateDiscount(orderAmount, items);
+  const { amount: discountAmount, shippingDiscount, allocations } = coupon.calculateDiscount(orderAmount, items);
   console.log('COUPON DISCOUNT AMOUNT:', discountAmount);
 
   res.json({
@@ -93,10 +97,14 @@ router.post('/validate', [
         discount: coupon.discount,
         type: coupon.type,
         categories: coupon.categories,
+        tiers: coupon.tiers,
+        bogo: coupon.type === 'bogo' ? coupon.bogo : undefined,
         minOrderAmount: coupon.minOrderAmount,
         maxDiscount: coupon.maxDiscount
       },
-      discountAmount
+      discountAmount,
+      shippingDiscount,
+      allocations
     }
   });
 }));
@@ -141,15 +149,56 @@ router.post('/', protect, admin, [
     .withMessage('Description is required')
     .isLength({ max: 200 })
     .withMessage('Description cannot exceed 200 characters'),
+  body('type')
+    .isIn(['percentage', 'fixed', 'bogo', 'free_shipping', 'tiered'])
+    .withMessage('Type must be percentage, fixed, bogo, free_shipping or tiered'),
   body('discount')
+    .if(body('type').isIn(['percentage', 'fixed']))
     .isFloat({ min: 0 })
     .withMessage('Discount must be a positive number'),
-  body('type')
+  body('tiers')
+    .if(body('type').equals('tiered'))
+    .isArray({ min: 1 })
+    .withMessage('Tiered coupons need at least one tier'),
+  body('tiers.*.minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tier threshold must be a positive number'),
+  body('tiers.*.discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tier discount must be a positive number'),
+  body('tiers.*.type')
+    .optional()
     .isIn(['percentage', 'fixed'])
-    .withMessage('Type must be percentage or fixed'),
+    .withMessage('Tier type must be percentage or fixed'),
+  body('bogo.buyQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Buy quantity must be at least 1'),
+  body('bogo.getQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Get quantity must be at least 1'),
+  body('bogo.getDiscount')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('BOGO discount must be between 0 and 100'),
   body('categories')
     .optional()
     .isArray(),
+  body(['products', 'excludedProducts'])
+    .optional()
+    .isArray()
+    .withMessage('Products must be an array of product IDs'),
+  body(['products.*', 'excludedProducts.*'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body(['skus', 'excludedSkus'])
+    .optional()
+    .isArray()
+    .withMessage('SKUs must be an array'),
   body('minOrderAmount')
     .optional()
     .isFloat({ min: 0 })
@@ -162,6 +211,10 @@ router.post('/', protect, admin, [
     .optional()
     .isInt({ min: -1 })
     .withMessage('Usage limit must be -1 or positive'),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: -1 })
+    .withMessage('Per-user limit must be -1 or positive'),
   body('validFrom')
     .optional()
     .isISO8601()
@@ -214,8 +267,16 @@ router.put('/:id', protect, admin, [
     .withMessage('Discount must be a positive number'),
   body('type')
     .optional()
-    .isIn(['percentage', 'fixed'])
-    .withMessage('Type must be percentage or fixed'),
+    .isIn(['percentage', 'fixed', 'bogo', 'free_shipping', 'tiered'])
+    .withMessage('Type must be percentage, fixed, bogo, free_shipping or tiered'),
+  body('tiers')
+    .optional()
+    .isArray()
+    .withMessage('Tiers must be an array'),
+  body(['products', 'excludedProducts', 'skus', 'excludedSkus'])
+    .optional()
+    .isArray()
+    .withMessage('Product and SKU lists must be arrays'),
   body('category')
     .optional()
     .isIn(['Makhana', 'Chips', 'Bites', 'Nuts', 'Seeds'])
@@ -232,6 +293,10 @@ router.put('/:id', protect, admin, [
     .optional()
     .isInt({ min: -1 })
     .withMessage('Usage limit must be -1 or positive'),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: -1 })
+    .withMessage('Per-user limit must be -1 or positive'),
   body('validUntil')
     .optional()
     .isISO8601()
@@ -1,14 +1,31 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const { protect, admin } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const { sendEmail } = require('../utils/email');
+const { reserveOrderItems } = require('../utils/inventory');
+const { isDuplicateOrderNumberError } = require('../utils/orderNumber');
+const { resolveOrderCoupon, claimCouponUsage } = require('../utils/coupons');
+const { evaluatePromotions } = require('../utils/promotions');
+const { applyLineDiscounts } = require('../utils/discounts');
+const { loadPayableOrder, renewReservation, changePaymentMethod, openOrderPayment } = require('../utils/orderPayments');
+const {
+  buildTrackingTimeline,
+  getEstimatedDelivery,
+  verifyTrackingRequest,
+  redactOrderForTracking
+} = require('../utils/tracking');
+const config = require('../config/config');
 
 const router = express.Router();
 
+// How many times checkout retries after an order number collision
+const ORDER_NUMBER_ATTEMPTS = 3;
+
 // @route   POST /api/orders
 // @desc    Create a new order
 // @access  Private
@@ -24,7 +41,8 @@ router.post('/', protect, [
     .withMessage('Size is required'),
   body('items.*.quantity')
     .isInt({ min: 1 })
-    .withMessage('Quantity must be at least 1'),
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
   body('shippingAddress.firstName')
     .notEmpty()
     .withMessage('First name is required'),
@@ -48,7 +66,12 @@ router.post('/', protect, [
     .withMessage('Phone must be 10-15 digits (numbers, +, -, spaces, parentheses allowed)'),
   body('paymentMethod')
     .isIn(['card', 'cod', 'upi', 'netbanking', 'razorpay'])
-    .withMessage('Invalid payment method')
+    .withMessage('Invalid payment method'),
+  body('couponCode')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .withMessage('Coupon code must be a string')
 ], asyncHandler(async (req, res) => {
   console.log('ORDER CREATE: RAW BODY', JSON.stringify(req.body, null, 2));
   // Check for validation errors
@@ -61,37 +84,45 @@ router.post('/', protect, [
     });
   }
 
-  const { items, shippingAddress, paymentMethod, appliedCoupon } = req.body;
+  const { items, shippingAddress, paymentMethod } = req.body;
+  // Only the code is taken from the client; older clients send it inside appliedCoupon
+  const couponCode = req.body.couponCode || (req.body.appliedCoupon && req.body.appliedCoupon.code);
 
   // Validate products and check stock
   const orderItems = [];
+  const shortLines = [];
   let subtotal = 0;
 
   for (const item of items) {
     console.log('ORDER CREATE: PROCESS ITEM', item);
-    let product = null;
-    if (item.productId.match(/^[0-9a-fA-F]{24}$/)) {
-      product = await Product.findById(item.productId);
-    }
-    if (!product) {
-      // Fallback: attempt to find by pseudo ID pattern (e.g., makhana01) using name prefix
-      const pseudo = item.productId.replace(/[0-9]+$/, '');
-      product = await Product.findOne({ name: new RegExp(pseudo, 'i') });
-    }
+    const product = await Product.findByClientId(item.productId);
     if (!product) {
       console.log('ORDER CREATE: PRODUCT NOT FOUND AFTER FALLBACK', item.productId);
       return res.status(400).json({ success: false, message: `Product ${item.productId} not found` });
     }
 
-    if (!product.isInStock(item.size)) {
-      console.log('ORDER CREATE: OUT OF STOCK', product._id, item.size);
+    const sizeObj = product.sizes.find(s => s.size === item.size);
+    if (!sizeObj) {
       return res.status(400).json({
         success: false,
-        message: `${product.name} (${item.size}) is out of stock`
+        message: `Size ${item.size} is not available for ${product.name}`
       });
     }
 
-    const sizeObj = product.sizes.find(s => s.size === item.size);
+    // Stock is only checked here for a fast failure; the real check is the
+    // conditional decrement inside the transaction below
+    if (!product.isInStock(item.size, item.quantity)) {
+      console.log('ORDER CREATE: OUT OF STOCK', product._id, item.size);
+      shortLines.push({
+        productId: product._id,
+        name: product.name,
+        size: item.size,
+        requested: item.quantity,
+        available: sizeObj.stock
+      });
+      continue;
+    }
+
     const itemTotal = sizeObj.price * item.quantity;
     subtotal += itemTotal;
 
@@ -99,6 +130,7 @@ router.post('/', protect, [
       product: product._id,
       name: product.name,
       size: item.size,
+      sku: sizeObj.sku,
       price: sizeObj.price,
       quantity: item.quantity,
       image: product.image,
@@ -106,48 +138,131 @@ router.post('/', protect, [
     });
   }
 
+  if (shortLines.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Some items are not available in the requested quantity',
+      shortLines
+    });
+  }
+
   // Calculate totals
-  const shippingCost = 0; // Free shipping
+  let shippingCost = 0; // Free shipping
   let discount = 0;
+  // What the coupon alone takes off; promotions are added to `discount` below
+  let couponDiscount = 0;
 
-  if (appliedCoupon) {
-    console.log('ORDER CREATE: APPLIED COUPON', appliedCoupon);
-    // Apply coupon logic here
-    if (appliedCoupon.type === 'percentage') {
-      discount = (subtotal * appliedCoupon.discount) / 100;
-    } else {
-      discount = appliedCoupon.discount;
+  let appliedCoupon;
+  let coupon;
+
+  if (couponCode) {
+    console.log('ORDER CREATE: APPLIED COUPON', couponCode);
+    // Re-validate the coupon and price it against the real order lines
+    let resolved;
+    try {
+      resolved = await resolveOrderCoupon(couponCode, {
+        subtotal,
+        items: orderItems,
+        userId: req.user._id,
+        shippingCost
+      });
+    } catch (error) {
+      if (!error.reasons) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        reasons: error.reasons
+      });
     }
-    discount = Math.min(discount, subtotal);
+    ({ coupon, discount } = resolved);
+    couponDiscount = discount;
+    shippingCost -= resolved.shippingDiscount;
+
+    // Keep each line's share of the discount for partial refunds and returns
+    applyLineDiscounts(orderItems, resolved.allocations);
+    appliedCoupon = {
+      coupon: coupon._id,
+      code: coupon.code,
+      discount: coupon.discount,
+      type: coupon.type
+    };
   }
 
-  const total = subtotal + shippingCost - discount;
-
-  // Create order
-  const order = new Order({
-    user: req.user._id,
-    items: orderItems,
-    shippingAddress,
-    paymentMethod,
+  // Automatic promotions are evaluated on top of (or instead of) the coupon
+  const promotions = await evaluatePromotions({
     subtotal,
+    items: orderItems,
     shippingCost,
-    discount,
-    total,
-    appliedCoupon,
-    // Set appropriate statuses based on payment method
-    paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending',
-    orderStatus: 'pending'
+    couponApplied: Boolean(coupon),
+    couponDiscount
   });
+  discount += promotions.discount;
+  shippingCost -= promotions.shippingDiscount;
+  applyLineDiscounts(orderItems, promotions.allocations);
+  const appliedPromotions = promotions.applied.map(promotion => ({
+    promotion: promotion.promotionId,
+    name: promotion.name,
+    amount: promotion.amount,
+    shippingDiscount: promotion.shippingDiscount
+  }));
 
-  await order.save();
-  console.log('ORDER CREATE: ORDER SAVED', order._id);
+  const total = subtotal + shippingCost - discount;
 
-  // Update product stock
-  for (const item of items) {
-    const product = await Product.findById(item.productId);
-    product.updateStock(item.size, item.quantity);
-    await product.save();
+  // Online payments only hold the stock for a limited time; the hold sweeper
+  // cancels the order and releases the stock if payment never arrives
+  const holdMinutes = config.inventoryHolds.holdMinutes[paymentMethod];
+  const reservation = holdMinutes
+    ? { status: 'held', expiresAt: new Date(Date.now() + holdMinutes * 60 * 1000) }
+    : undefined;
+
+  // Reserve stock and create the order in one transaction, so either every
+  // line is decremented and the order exists, or nothing changes.
+  // A clash on the order number (e.g. with a hand-entered order) rolls back and retries with a fresh number.
+  let order;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        order = new Order({
+          user: req.user._id,
+          items: orderItems,
+          shippingAddress,
+          paymentMethod,
+          subtotal,
+          shippingCost,
+          discount,
+          total,
+          appliedCoupon,
+          appliedPromotions,
+          reservation,
+          // Set appropriate statuses based on payment method
+          paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending',
+          orderStatus: 'pending'
+        });
+
+        await reserveOrderItems(orderItems, session, { order: order._id, actor: req.user._id });
+        // The coupon use only counts if the order commits
+        if (coupon) {
+          await claimCouponUsage({ coupon, userId: req.user._id, order: order._id, amount: couponDiscount }, session);
+        }
+        await order.save({ session });
+      });
+      break;
+    } catch (error) {
+      if (error.shortLines) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          shortLines: error.shortLines
+        });
+      }
+      if (isDuplicateOrderNumberError(error) && attempt < ORDER_NUMBER_ATTEMPTS) {
+        logger.warn(`Order number ${order.orderNumber} already taken, retrying (attempt ${attempt})`);
+        continue;
+      }
+      throw error;
+    }
   }
+  console.log('ORDER CREATE: ORDER SAVED', order._id);
 
   // Send order confirmation email
   try {
@@ -169,7 +284,13 @@ router.post('/', protect, [
   res.status(201).json({
     success: true,
     message: 'Order created successfully',
-    data: { order }
+    data: {
+      order,
+      promotions: {
+        applied: promotions.applied,
+        skipped: promotions.skipped
+      }
+    }
   });
 }));
 
@@ -238,7 +359,21 @@ router.put('/:id/status', protect, admin, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Notes cannot exceed 500 characters'),
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Tracking number cannot be empty'),
+  body('carrier')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Carrier cannot be empty'),
+  body('estimatedDelivery')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery must be a valid date')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -249,7 +384,7 @@ router.put('/:id/status', protect, admin, [
     });
   }
 
-  const { status, notes } = req.body;
+  const { status, notes, trackingNumber, carrier, estimatedDelivery } = req.body;
 
   const order = await Order.findById(req.params.id).populate('user', 'email firstName');
   if (!order) {
@@ -259,7 +394,12 @@ router.put('/:id/status', protect, admin, [
     });
   }
 
-  await order.updateStatus(status, notes);
+  // Shipping details usually arrive with the "shipped" update
+  if (trackingNumber) order.shippingDetails.trackingNumber = trackingNumber;
+  if (carrier) order.shippingDetails.carrier = carrier;
+  if (estimatedDelivery) order.shippingDetails.estimatedDelivery = new Date(estimatedDelivery);
+
+  await order.updateStatus(status, notes, req.user._id);
 
   // Send email notifications for status changes
   if (status === 'shipped') {
@@ -357,8 +497,13 @@ router.post('/:id/cancel', protect, [
   }
 
   try {
-    // Directly cancel the order (no admin approval needed)
-    order.orderStatus = 'cancelled';
+    // Only orders that haven't shipped can be cancelled
+    if (!Order.canTransition('orderStatus', order.orderStatus, 'cancelled')) {
+      throw new Error('Order cannot be cancelled at this stage');
+    }
+
+    // Directly cancel the order (no admin approval needed) and return its stock
+    order.transitionStatus('orderStatus', 'cancelled', { by: req.user._id, note: `Cancelled by customer: ${reason}` });
     order.cancelRequest = {
       requestedAt: new Date(),
       reason,
@@ -367,7 +512,10 @@ router.post('/:id/cancel', protect, [
       processedAt: new Date(),
       processedBy: req.user._id
     };
-    await order.save();
+    await order.saveInTransaction(async (session) => {
+      await order.restockItems('cancel', { by: req.user._id, session });
+      await order.releaseCouponUsage({ session });
+    });
 
     // Send email notification to customer
     try {
@@ -410,24 +558,288 @@ router.post('/:id/cancel', protect, [
       data: { order }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
   }
 }));
 
+// @route   POST /api/orders/:id/pay
+// @desc    Retry payment for an unpaid order, optionally with another payment method
+// @access  Private
+router.post('/:id/pay', protect, [
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'cod', 'upi', 'netbanking', 'razorpay'])
+    .withMessage('Invalid payment method')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const order = await loadPayableOrder(req.params.id, req.user);
+  // Orders an admin has already moved on are settled with the store, not retried
+  if (order.orderStatus !== 'pending') {
+    throw new AppError('Payment can only be retried before the order is confirmed', 409);
+  }
+  if (order.paymentStatus === 'processing') {
+    throw new AppError('A payment for this order is already being processed', 409);
+  }
+
+  await changePaymentMethod(order, req.body.paymentMethod || order.paymentMethod, { by: req.user._id });
+  // Each retry gets a fresh hold window for the (new) payment method
+  renewReservation(order);
+
+  if (order.paymentMethod === 'cod') {
+    await order.save();
+    return res.json({
+      success: true,
+      message: 'Order will be paid on delivery',
+      data: { order }
+    });
+  }
+
+  try {
+    const { provider, clientData } = await openOrderPayment(order, { by: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Payment created',
+      data: {
+        order,
+        payment: {
+          provider: provider.name,
+          currency: config.payments.currency,
+          ...clientData,
+          total: order.total
+        },
+        attemptsRemaining: Math.max(0, config.payments.maxAttempts - order.paymentAttempts)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) throw error;
+    logger.error(`Payment retry error for order ${order.orderNumber}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating payment'
+    });
+  }
+}));
+
+// @route   POST /api/orders/:id/return
+// @desc    Request order return
+// @access  Private
+router.post('/:id/return', protect, [
+  body('reason')
+    .isIn(['defective', 'wrong_item', 'not_as_described', 'changed_mind', 'other'])
+    .withMessage('Invalid return reason'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
 
+  const { reason, description } = req.body;
 
+  const order = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
 
-// @route   GET /api/orders/:id/track
-// @desc    Track order status
-// @access  Public (with order number)
-router.get('/:id/track', asyncHandler(async (req, res) => {
-  const order = await Order.findOne({ orderNumber: req.params.id })
-    .populate('user', 'firstName lastName email')
-    .populate('items.product', 'name image');
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    await order.requestReturn(reason, description);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
 
+  // Send email notification to admin
+  try {
+    await sendEmail({
+      to: process.env.EMAIL_USER,
+      subject: `Return Request - ${order.orderNumber}`,
+      template: 'returnRequest',
+      data: {
+        orderNumber: order.orderNumber,
+        customerName: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
+        customerEmail: req.user.email,
+        reason,
+        description: description || 'No additional description provided',
+        orderTotal: order.total
+      }
+    });
+  } catch (error) {
+    logger.error('Return request email error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Return request submitted successfully',
+    data: { order }
+  });
+}));
+
+// @route   PUT /api/orders/:id/process-return
+// @desc    Approve or reject a return request (Admin only)
+// @access  Private/Admin
+router.put('/:id/process-return', protect, admin, [
+  body('approved')
+    .isBoolean()
+    .withMessage('Approved must be a boolean')
+    .toBoolean(),
+  body('refundAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Refund amount must be a positive number')
+    .toFloat(),
+  body('refundMethod')
+    .optional()
+    .isIn(['original_payment', 'store_credit', 'bank_transfer'])
+    .withMessage('Invalid refund method'),
+  body('returnTrackingNumber')
+    .optional()
+    .trim(),
+  body('nonRestockableItems')
+    .optional()
+    .isArray()
+    .withMessage('Non-restockable items must be an array of order item IDs'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const {
+    approved,
+    refundAmount,
+    refundMethod = 'original_payment',
+    returnTrackingNumber = '',
+    nonRestockableItems = [],
+    notes = ''
+  } = req.body;
+
+  const order = await Order.findById(req.params.id).populate('user', 'email firstName');
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    // Approving restocks every line except those flagged as damaged
+    await order.processReturnRequest(
+      approved,
+      req.user._id,
+      refundAmount !== undefined ? refundAmount : order.total,
+      refundMethod,
+      returnTrackingNumber,
+      notes,
+      nonRestockableItems
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    await sendEmail({
+      to: order.user.email,
+      subject: `Return Request ${approved ? 'Approved' : 'Rejected'} - ${order.orderNumber}`,
+      template: 'returnRequestProcessed',
+      data: {
+        name: order.shippingAddress.firstName,
+        orderNumber: order.orderNumber,
+        approved,
+        refundAmount: order.returnRequest.refundAmount,
+        refundMethod,
+        returnTrackingNumber,
+        notes
+      }
+    });
+  } catch (error) {
+    logger.error('Return request processed email error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: `Return request ${approved ? 'approved' : 'rejected'}`,
+    data: { order }
+  });
+}));
+
+// @route   POST /api/orders/:id/tracking-events
+// @desc    Add a carrier scan event to a shipped order (Admin only)
+// @access  Private/Admin
+router.post('/:id/tracking-events', protect, admin, [
+  body('status')
+    .trim()
+    .notEmpty()
+    .withMessage('Event status is required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('location')
+    .optional()
+    .trim(),
+  body('at')
+    .optional()
+    .isISO8601()
+    .withMessage('Event time must be a valid date'),
+  body('estimatedDelivery')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery must be a valid date')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { status, description, location, at, estimatedDelivery } = req.body;
+
+  const order = await Order.findById(req.params.id);
   if (!order) {
     return res.status(404).json({
       success: false,
@@ -435,46 +847,90 @@ router.get('/:id/track', asyncHandler(async (req, res) => {
     });
   }
 
-  // Create tracking timeline
-  const timeline = [
-    {
-      status: 'pending',
-      title: 'Order Placed',
-      description: 'Your order has been placed and is being reviewed',
-      timestamp: order.createdAt,
-      completed: true
-    },
-    {
-      status: 'confirmed',
-      title: 'Order Confirmed',
-      description: 'Your order has been confirmed and is being prepared',
-      timestamp: order.orderStatus === 'confirmed' || ['processing', 'shipped', 'delivered'].includes(order.orderStatus) ? order.updatedAt : null,
-      completed: ['confirmed', 'processing', 'shipped', 'delivered'].includes(order.orderStatus)
-    },
-    {
-      status: 'processing',
-      title: 'Processing',
-      description: 'Your order is being prepared for shipment',
-      timestamp: order.orderStatus === 'processing' || ['shipped', 'delivered'].includes(order.orderStatus) ? order.updatedAt : null,
-      completed: ['processing', 'shipped', 'delivered'].includes(order.orderStatus)
-    },
-    {
-      status: 'shipped',
-      title: 'Shipped',
-      description: order.shippingDetails?.trackingNumber 
-        ? `Your order has been shipped (Tracking: ${order.shippingDetails.trackingNumber})`
-        : 'Your order has been shipped',
-      timestamp: order.shippingDetails?.shippedAt || (order.orderStatus === 'shipped' || order.orderStatus === 'delivered' ? order.updatedAt : null),
-      completed: ['shipped', 'delivered'].includes(order.orderStatus)
-    },
-    {
-      status: 'delivered',
-      title: 'Delivered',
-      description: 'Your order has been delivered',
-      timestamp: order.shippingDetails?.deliveredAt || (order.orderStatus === 'delivered' ? order.updatedAt : null),
-      completed: order.orderStatus === 'delivered'
+  // Carriers often revise the delivery estimate with a scan
+  if (estimatedDelivery) order.shippingDetails.estimatedDelivery = new Date(estimatedDelivery);
+
+  await order.addTrackingEvent({
+    status,
+    description,
+    location,
+    at: at ? new Date(at) : undefined
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Tracking event added successfully',
+    data: { events: order.shippingDetails.events }
+  });
+}));
+
+// @route   GET /api/orders/:id/track
+// @desc    Track order status
+// @access  Public (order number plus email, phone last 4 digits or pincode); owner and admin get the full view
+router.get('/:id/track', optionalAuth, [
+  query('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+  query('phone')
+    .optional()
+    .trim()
+    .matches(/^\d{4}$/)
+    .withMessage('Phone must be the last 4 digits'),
+  query('pincode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Pincode cannot be empty')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findOne({ orderNumber: req.params.id })
+    .populate('user', 'firstName lastName email')
+    .populate('items.product', 'name image');
+
+  const isOwner = Boolean(req.user && order && order.user &&
+    (order.user._id.equals(req.user._id) || req.user.role === 'admin'));
+
+  if (!isOwner) {
+    const { email, phone, pincode } = req.query;
+    if (!email && !phone && !pincode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the order email, the last 4 digits of the phone number or the delivery pincode'
+      });
+    }
+
+    // A wrong second factor looks the same as an unknown order number
+    if (!order || !verifyTrackingRequest(order, { email, phone, pincode })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
-  ];
+  }
+
+  // Timeline steps are dated from the order's status history
+  const timeline = buildTrackingTimeline(order);
+
+  if (!isOwner) {
+    return res.json({
+      success: true,
+      data: {
+        order: redactOrderForTracking(order),
+        timeline,
+        estimatedDelivery: getEstimatedDelivery(order)
+      }
+    });
+  }
 
   res.json({
     success: true,
@@ -489,7 +945,8 @@ router.get('/:id/track', asyncHandler(async (req, res) => {
         shippingAddress: order.shippingAddress,
         shippingDetails: order.shippingDetails
       },
-      timeline
+      timeline,
+      estimatedDelivery: getEstimatedDelivery(order)
     }
   });
 }));
@@ -1,38 +1,20 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const Razorpay = require('razorpay');
 const { protect } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
-
-// Initialize Razorpay (only if keys are provided)
-let razorpay = null;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  razorpay = new Razorpay({
-    key_id: "rzp_test_RGMHZ4hW2QBTEj",
-    key_secret: "K8SKZez1rXLt0XYBM23dzsey",
-  });
-}
+const config = require('../config/config');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const { getProvider } = require('../utils/payments');
+const { loadPayableOrder, openOrderPayment } = require('../utils/orderPayments');
+const { markOrderPaid, handlePaymentEvent } = require('../utils/paymentWebhooks');
 
 const router = express.Router();
 
-// @route   POST /api/payments/create-intent
-// @desc    Create payment intent
-// @access  Private
-router.post('/create-intent', protect, [
-  body('amount')
-    .isFloat({ min: 1 })
-    .withMessage('Amount must be at least 1'),
-  body('currency')
-    .optional()
-    .isIn(['inr', 'usd'])
-    .withMessage('Currency must be inr or usd'),
-  body('orderId')
-    .optional()
-    .notEmpty()
-    .withMessage('Order ID is required')
-], asyncHandler(async (req, res) => {
+// Open a provider payment for one of the caller's unpaid orders (see utils/orderPayments)
+const createOrderPayment = async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -42,33 +24,113 @@ router.post('/create-intent', protect, [
     });
   }
 
-  const { amount, currency = 'inr', orderId } = req.body;
+  const order = await loadPayableOrder(req.body.orderId, req.user);
 
   try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      metadata: {
-        userId: req.user._id.toString(),
-        orderId: orderId || 'cart-payment'
-      }
-    });
+    const { provider, clientData } = await openOrderPayment(order, { by: req.user._id });
 
     res.json({
       success: true,
       data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        provider: provider.name,
+        currency: config.payments.currency,
+        ...clientData,
+        total: order.total
       }
     });
   } catch (error) {
-    logger.error('Stripe payment intent error:', error);
+    if (error.statusCode) throw error;
+    logger.error(`Payment creation error for order ${order.orderNumber}:`, error);
     res.status(500).json({
       success: false,
-      message: 'Error creating payment intent'
+      message: 'Error creating payment'
     });
   }
-}));
+};
+
+// Check the customer's checkout response with the provider and, if the money was taken for
+// the right amount and currency, mark the order paid. Authorized payments are captured.
+const confirmOrderPayment = async (order, params) => {
+  const provider = getProvider(order.paymentDetails.provider);
+  const providerPaymentId = order.paymentDetails.providerPaymentId;
+
+  let payment = await provider.verify({ providerPaymentId, ...params });
+  if (!order.matchesPayment(payment.amount, payment.currency)) {
+    logger.error(`${provider.name} payment ${providerPaymentId} does not match order ${order.orderNumber}`);
+    throw new AppError('Payment amount or currency does not match the order', 400);
+  }
+
+  if (payment.status === 'authorized') {
+    payment = await provider.capture({
+      providerPaymentId,
+      transactionId: payment.transactionId,
+      amount: payment.amount,
+      currency: payment.currency
+    });
+  }
+
+  if (payment.status === 'succeeded') {
+    await Payment.recordCapture(order, {
+      provider: provider.name,
+      providerPaymentId,
+      transactionId: payment.transactionId,
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      paymentMethod: payment.paymentMethod
+    });
+    await markOrderPaid(order, {
+      transactionId: payment.transactionId,
+      paymentMethod: payment.paymentMethod
+    }, `Payment confirmed (${provider.name})`);
+  }
+  return payment;
+};
+
+// Apply a provider webhook once. Providers redeliver events, so an event we've already
+// processed is acknowledged without running the handler again; if the handler fails
+// the response is 500 so the provider retries it later.
+// Note: the exact request bytes are kept as req.rawBody at app level for the webhook routes
+const handleWebhook = (providerName) => asyncHandler(async (req, res) => {
+  const { rawBody } = req;
+  if (!Buffer.isBuffer(rawBody)) {
+    return res.status(400).send('Webhook Error: expected a JSON body');
+  }
+
+  let event;
+  try {
+    event = getProvider(providerName).parseWebhook(rawBody, req.headers);
+  } catch (err) {
+    logger.error(`${providerName} webhook signature verification failed:`, err.message);
+    return res.status(400).send(err.message);
+  }
+
+  // Every provider sends JSON; keep it with the event record
+  const payload = JSON.parse(rawBody.toString('utf8'));
+  const record = await WebhookEvent.claim(providerName, event.id, event.type, payload);
+  if (!record) {
+    return res.json({ received: true, duplicate: true });
+  }
+
+  try {
+    const order = await handlePaymentEvent(providerName, event, { webhookEvent: record._id });
+    await record.markProcessed(order && order._id);
+  } catch (error) {
+    logger.error(`${providerName} webhook ${event.id} (${event.type}) failed:`, error);
+    await record.markFailed(error);
+    return res.status(500).json({ received: false });
+  }
+
+  res.json({ received: true });
+});
+
+// @route   POST /api/payments/create-intent
+// @desc    Create payment intent
+// @access  Private
+router.post('/create-intent', protect, [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+], asyncHandler(createOrderPayment));
 
 // @route   POST /api/payments/confirm
 // @desc    Confirm payment
@@ -78,9 +140,8 @@ router.post('/confirm', protect, [
     .notEmpty()
     .withMessage('Payment intent ID is required'),
   body('orderId')
-    .optional()
-    .notEmpty()
-    .withMessage('Order ID is required')
+    .isMongoId()
+    .withMessage('Valid order ID is required')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -93,18 +154,26 @@ router.post('/confirm', protect, [
 
   const { paymentIntentId, orderId } = req.body;
 
+  const order = await Order.findById(orderId);
+  if (!order || order.user.toString() !== req.user._id.toString() || !order.paymentDetails.providerPaymentId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const payment = await confirmOrderPayment(order, { paymentIntentId });
 
-    if (paymentIntent.status === 'succeeded') {
+    if (payment.status === 'succeeded') {
       res.json({
         success: true,
         message: 'Payment confirmed successfully',
         data: {
           paymentIntentId,
-          amount: paymentIntent.amount / 100,
-          currency: paymentIntent.currency,
-          status: paymentIntent.status
+          amount: payment.amount / 100,
+          currency: payment.currency,
+          status: payment.status
         }
       });
     } else {
@@ -114,6 +183,7 @@ router.post('/confirm', protect, [
       });
     }
   } catch (error) {
+    if (error.statusCode) throw error;
     logger.error('Payment confirmation error:', error);
     res.status(500).json({
       success: false,
@@ -123,80 +193,55 @@ router.post('/confirm', protect, [
 }));
 
 // @route   GET /api/payments/:orderId
-// @desc    Get payment status
+// @desc    Get payment status and history
 // @access  Private
 router.get('/:orderId', protect, asyncHandler(async (req, res) => {
-  const { orderId } = req.params;
+  const order = await Order.findById(req.params.orderId);
 
-  try {
-    const paymentIntents = await stripe.paymentIntents.list({
-      limit: 1,
-      metadata: { orderId }
+  if (!order || (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
     });
+  }
 
-    if (paymentIntents.data.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
-      });
-    }
+  // Read from our own ledger rather than asking the provider
+  const transactions = await Payment.find({ order: order._id })
+    .select('-order -user')
+    .sort({ createdAt: 1 });
 
-    const paymentIntent = paymentIntents.data[0];
+  const { provider, providerPaymentId, amount, currency, paidAt } = order.paymentDetails;
 
-    res.json({
-      success: true,
-      data: {
-        paymentIntentId: paymentIntent.id,
-        amount: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-        status: paymentIntent.status,
-        created: paymentIntent.created
-      }
-    });
-  } catch (error) {
-    logger.error('Payment status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving payment status'
-    });
-  }
+  res.json({
+    success: true,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      paymentMethod: order.paymentMethod,
+      status: order.paymentStatus,
+      provider,
+      providerPaymentId,
+      amount: amount !== undefined ? amount : order.total,
+      currency: currency || config.payments.currency,
+      paidAt,
+      refundableAmount: order.paymentStatus === 'completed' ? order.getRefundableAmount() : 0,
+      transactions
+    }
+  });
 }));
 
 // @route   POST /api/payments/webhook
 // @desc    Stripe webhook handler
 // @access  Public
-// Note: Raw body parsing is configured at app level for this route
-router.post('/webhook', asyncHandler(async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  let event;
+router.post('/webhook', handleWebhook('stripe'));
 
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-  } catch (err) {
-    logger.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      logger.info('Payment succeeded:', paymentIntent.id);
-      // Handle successful payment
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      logger.info('Payment failed:', failedPayment.id);
-      // Handle failed payment
-      break;
-    default:
-      logger.info(`Unhandled event type: ${event.type}`);
-  }
-
-  res.json({ received: true });
-}));
+// @route   POST /api/payments/fake/webhook
+// @desc    Fake gateway webhook handler (only when a payment method uses the fake provider,
+//          and never in production)
+// @access  Public
+if (process.env.NODE_ENV !== 'production' && Object.values(config.payments.providers).includes('fake')) {
+  router.post('/fake/webhook', handleWebhook('fake'));
+}
 
 // ==================== RAZORPAY PAYMENT ROUTES ====================
 
@@ -204,67 +249,15 @@ router.post('/webhook', asyncHandler(async (req, res) => {
 // @desc    Create Razorpay order
 // @access  Private
 router.post('/razorpay/create-order', protect, [
-  body('amount')
-    .isFloat({ min: 1 })
-    .withMessage('Amount must be at least 1'),
-  body('currency')
-    .optional()
-    .isIn(['INR'])
-    .withMessage('Currency must be INR'),
   body('orderId')
-    .optional()
-    .notEmpty()
-    .withMessage('Order ID is required')
-], asyncHandler(async (req, res) => {
-  // Check if Razorpay is initialized
-  if (!razorpay) {
-    return res.status(503).json({
-      success: false,
-      message: 'Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to environment variables.'
-    });
-  }
-
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      errors: errors.array()
-    });
-  }
-
-  const { amount, currency = 'INR', orderId } = req.body;
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+], asyncHandler(createOrderPayment));
 
-  try {
-    const options = {
-      amount: Math.round(amount * 100), // Convert to paise
-      currency,
-      receipt: orderId || `receipt_${Date.now()}`,
-      notes: {
-        userId: req.user._id.toString(),
-        orderId: orderId || 'cart-payment'
-      }
-    };
-
-    const order = await razorpay.orders.create(options);
-
-    res.json({
-      success: true,
-      data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt
-      }
-    });
-  } catch (error) {
-    logger.error('Razorpay order creation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error creating payment order'
-    });
-  }
-}));
+// @route   POST /api/payments/razorpay/webhook
+// @desc    Razorpay webhook handler
+// @access  Public
+router.post('/razorpay/webhook', handleWebhook('razorpay'));
 
 // @route   POST /api/payments/razorpay/verify
 // @desc    Verify Razorpay payment
@@ -280,14 +273,6 @@ router.post('/razorpay/verify', protect, [
     .notEmpty()
     .withMessage('Signature is required')
 ], asyncHandler(async (req, res) => {
-  // Check if Razorpay is initialized
-  if (!razorpay) {
-    return res.status(503).json({
-      success: false,
-      message: 'Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to environment variables.'
-    });
-  }
-
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -299,33 +284,31 @@ router.post('/razorpay/verify', protect, [
 
   const { orderId, paymentId, signature } = req.body;
 
+  const order = await Order.findOne({ 'paymentDetails.providerPaymentId': orderId, user: req.user._id });
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
   try {
-    // Verify the payment signature
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${paymentId}`)
-      .digest('hex');
-
-    if (expectedSignature === signature) {
-      // Payment is verified
-      res.json({
-        success: true,
-        message: 'Payment verified successfully',
-        data: {
-          orderId,
-          paymentId,
-          signature,
-          verified: true
-        }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Payment verification failed'
-      });
-    }
+    const payment = await confirmOrderPayment(order, { orderId, paymentId, signature });
+
+    // Payment is verified
+    res.json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: {
+        orderId,
+        paymentId,
+        signature,
+        verified: true,
+        status: payment.status
+      }
+    });
   } catch (error) {
+    if (error.statusCode) throw error;
     logger.error('Razorpay payment verification error:', error);
     res.status(500).json({
       success: false,
@@ -353,4 +336,4 @@ router.get('/razorpay/keys', asyncHandler(async (req, res) => {
   });
 }));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -4,6 +4,7 @@ const Product = require('../models/Product');
 const { protect, admin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { setStockLevel, recordStockChanges } = require('../utils/inventory');
 
 const router = express.Router();
 // Client pseudo-ID mapping endpoint (development)
@@ -248,6 +249,7 @@ router.post('/', protect, admin, [
   }
 
   const product = await Product.create(req.body);
+  await recordStockChanges([], product, { actor: req.user._id, note: 'Initial stock' });
 
   res.status(201).json({
     success: true,
@@ -284,6 +286,9 @@ router.put('/:id', protect, admin, [
     });
   }
 
+  // Keep the previous stock levels so edits to sizes land in the inventory ledger
+  const before = req.body.sizes ? await Product.findById(req.params.id).select('sizes') : null;
+
   const product = await Product.findByIdAndUpdate(
     req.params.id,
     req.body,
@@ -297,6 +302,10 @@ router.put('/:id', protect, admin, [
     });
   }
 
+  if (before) {
+    await recordStockChanges(before.sizes, product, { actor: req.user._id, note: 'Product edit' });
+  }
+
   res.json({
     success: true,
     message: 'Product updated successfully',
@@ -349,7 +358,7 @@ router.put('/:id/stock', protect, admin, [
 
   const { size, quantity } = req.body;
 
-  const product = await Product.findById(req.params.id);
+  let product = await Product.findById(req.params.id);
   if (!product) {
     return res.status(404).json({
       success: false,
@@ -366,9 +375,9 @@ router.put('/:id/stock', protect, admin, [
     });
   }
 
-  product.sizes[sizeIndex].stock = quantity;
-  product.inStock = product.sizes.some(s => s.stock > 0);
-  await product.save();
+  // Set the level atomically and record the difference in the inventory ledger
+  await setStockLevel({ productId: product._id, size, level: quantity, actor: req.user._id });
+  product = await Product.findById(product._id);
 
   res.json({
     success: true,
@@ -0,0 +1,48 @@
+// One-off migration for orders paid before payments went through utils/payments:
+// copies the legacy paymentDetails.paymentIntentId (Stripe) and razorpayOrderId (Razorpay)
+// into paymentDetails.provider / providerPaymentId, which confirmation, the payment status
+// endpoint, webhooks and reconciliation now read. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+const LEGACY_FIELDS = [
+  { field: 'paymentIntentId', provider: 'stripe' },
+  { field: 'razorpayOrderId', provider: 'razorpay' }
+];
+
+async function migrate() {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Mongo connected:', conn.connection.host);
+
+    for (const { field, provider } of LEGACY_FIELDS) {
+      const legacyPath = `paymentDetails.${field}`;
+      // The legacy fields are no longer in the schema, so go through the driver
+      const result = await Order.collection.updateMany(
+        {
+          [legacyPath]: { $exists: true, $nin: [null, ''] },
+          'paymentDetails.providerPaymentId': null
+        },
+        [
+          {
+            $set: {
+              'paymentDetails.provider': provider,
+              'paymentDetails.providerPaymentId': `$${legacyPath}`
+            }
+          },
+          { $unset: legacyPath }
+        ]
+      );
+      console.log(`Migrated ${result.modifiedCount} order(s) from ${legacyPath}`);
+    }
+
+    console.log('Migration done');
+    process.exit(0);
+  } catch (e) {
+    console.error('Migration error', e);
+    process.exit(1);
+  }
+}
+
+migrate();
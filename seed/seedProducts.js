@@ -2,6 +2,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const { recordStockChanges } = require('../utils/inventory');
 
 const products = [
   {
@@ -64,6 +65,7 @@ async function seed() {
       let existing = await Product.findOne({ name: p.name });
       if (existing) {
         // Ensure sizes have stock
+        const previousSizes = existing.sizes.map(s => ({ size: s.size, stock: s.stock }));
         let updated = false;
         p.sizes.forEach(s => {
           const sizeObj = existing.sizes.find(es => es.size === s.size);
@@ -74,13 +76,15 @@ async function seed() {
         });
         if (updated) {
           await existing.save();
+          await recordStockChanges(previousSizes, existing, { reason: 'import', note: 'Seed script' });
           console.log('Updated stock for', p.name);
         } else {
           console.log('Skipped existing', p.name);
         }
         continue;
       }
-      await Product.create(p);
+      const product = await Product.create(p);
+      await recordStockChanges([], product, { reason: 'import', note: 'Seed script' });
       console.log('Inserted', p.name);
     }
 
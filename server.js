@@ -32,6 +32,8 @@ const wishlistRoutes = require('./routes/wishlist');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
 const { sanitizeRequest } = require('./utils/validation');
+const { startInventoryHoldSweeper } = require('./jobs/inventoryHolds');
+const { startPaymentReconciliationJob } = require('./jobs/paymentReconciliation');
 
 const app = express();
 
@@ -106,13 +108,35 @@ app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
 
-// Stripe webhook must access the raw body, so we apply raw body parser just for that route BEFORE json parser
-app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+// Public order tracking is limited separately so order numbers can't be enumerated
+const trackingLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.tracking,
+  message: {
+    success: false,
+    error: 'Too many tracking requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use('/api/orders/:id/track', trackingLimiter);
+
+// Payment webhooks must access the raw body to verify signatures. The JSON parser keeps the
+// exact bytes as req.rawBody for those routes; req.body itself is rewritten by the sanitizers below.
+const WEBHOOK_PATHS = ['/api/payments/webhook', '/api/payments/razorpay/webhook', '/api/payments/fake/webhook'];
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (WEBHOOK_PATHS.includes(req.path)) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cookieParser());
+app.use(cookieParser(process.env.COOKIE_SECRET || config.jwt.secret)); // secret signs the guest cart cookie
 
 // Compression middleware
 app.use(compression());
@@ -228,6 +252,12 @@ const startServer = async () => {
     }
   }
 
+  // Release stock held by unpaid online orders once their hold expires
+  startInventoryHoldSweeper();
+
+  // Compare yesterday's orders with the payment ledger
+  startPaymentReconciliationJob();
+
   app.listen(config.port, () => {
     logger.info(`Server running on port ${config.port} in ${process.env.NODE_ENV || 'development'} mode`);
   });
@@ -245,6 +275,9 @@ process.on('uncaughtException', (err) => {
   // Don't exit - log and continue
 });
 
-startServer();
+// Only listen when run directly; tests load the app without a server or background jobs
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Shared setup for the API tests. Tests run against the MongoDB at config.mongodb.uri for
+// the test environment (MONGODB_URI_TEST) and are skipped when it can't be reached.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.FAKE_WEBHOOK_SECRET = 'test-fake-webhook-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'test-razorpay-webhook-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_offline';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_offline';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const app = require('../server');
+const User = require('../models/User');
+const Order = require('../models/Order');
+
+// Connect to the test database. Resolves false (instead of throwing) if it isn't running.
+const connectTestDb = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri, { serverSelectionTimeoutMS: 2000 });
+    await mongoose.connection.db.dropDatabase();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const disconnectTestDb = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+  await mongoose.disconnect();
+};
+
+const createUser = (overrides = {}) => User.create({
+  email: `user${crypto.randomBytes(4).toString('hex')}@example.com`,
+  password: 'secret123',
+  firstName: 'Test',
+  lastName: 'User',
+  ...overrides
+});
+
+const authHeader = (user) => ({ Authorization: `Bearer ${user.generateAuthToken()}` });
+
+// An unpaid single-line order for the user, as checkout would have created it
+const createOrder = (user, overrides = {}) => Order.create({
+  user: user._id,
+  items: [{
+    product: new mongoose.Types.ObjectId(),
+    name: 'Peri Peri Makhana',
+    size: '100g',
+    price: 250,
+    quantity: 2,
+    image: '/images/hero-snack-1.jpg',
+    category: 'Makhana'
+  }],
+  shippingAddress: {
+    firstName: 'Test',
+    lastName: 'User',
+    address: '1 MG Road',
+    city: 'Bengaluru',
+    state: 'Karnataka',
+    pincode: '560001',
+    phone: '9876543210'
+  },
+  paymentMethod: 'card',
+  subtotal: 500,
+  total: 500,
+  ...overrides
+});
+
+const hmacHex = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+module.exports = {
+  app,
+  connectTestDb,
+  disconnectTestDb,
+  createUser,
+  authHeader,
+  createOrder,
+  hmacHex
+};
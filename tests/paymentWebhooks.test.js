@@ -0,0 +1,213 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const {
+  app,
+  connectTestDb,
+  disconnectTestDb,
+  createUser,
+  createOrder,
+  authHeader,
+  hmacHex
+} = require('./helpers');
+const fake = require('../utils/payments/fake');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+
+let dbAvailable = false;
+
+before(async () => {
+  dbAvailable = await connectTestDb();
+});
+
+after(async () => {
+  if (dbAvailable) await disconnectTestDb();
+});
+
+describe('POST /api/payments/webhook (Stripe)', () => {
+  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+  const postEvent = (event) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: process.env.STRIPE_WEBHOOK_SECRET
+      }))
+      .send(payload);
+  };
+
+  const succeededEvent = (order, id = 'evt_succeeded') => ({
+    id,
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: 'pi_test',
+        status: 'succeeded',
+        amount: 50000,
+        amount_received: 50000,
+        currency: 'inr',
+        latest_charge: 'ch_test',
+        metadata: { orderId: order._id.toString() }
+      }
+    }
+  });
+
+  it('marks the order paid for a signed payment_intent.succeeded event', async (t) => {
+    if (!dbAvailable) return t.skip('MongoDB not available');
+
+    const user = await createUser();
+    const order = await createOrder(user, {
+      paymentDetails: { provider: 'stripe', providerPaymentId: 'pi_test', amount: 500, currency: 'INR' }
+    });
+
+    const res = await postEvent(succeededEvent(order));
+    assert.strictEqual(res.status, 200, res.text);
+    assert.deepStrictEqual(res.body, { received: true });
+
+    const updated = await Order.findById(order._id);
+    assert.strictEqual(updated.paymentStatus, 'completed');
+    assert.strictEqual(updated.orderStatus, 'confirmed');
+    assert.strictEqual(updated.paymentDetails.transactionId, 'ch_test');
+    assert.ok(await Payment.exists({ order: order._id, kind: 'capture', transactionId: 'ch_test' }));
+
+    // A redelivery is acknowledged without being applied again
+    const again = await postEvent(succeededEvent(order));
+    assert.deepStrictEqual(again.body, { received: true, duplicate: true });
+    assert.strictEqual(await WebhookEvent.countDocuments({ provider: 'stripe', eventId: 'evt_succeeded' }), 1);
+  });
+
+  it('rejects an event with a bad signature', async () => {
+    const res = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', 't=1,v1=bad')
+      .send(JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded' }));
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+describe('POST /api/payments/razorpay/webhook', () => {
+  const postEvent = (event, eventId) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post('/api/payments/razorpay/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Event-Id', eventId)
+      .set('X-Razorpay-Signature', hmacHex(process.env.RAZORPAY_WEBHOOK_SECRET, payload))
+      .send(payload);
+  };
+
+  it('records a captured payment even if the customer never returned to /verify', async (t) => {
+    if (!dbAvailable) return t.skip('MongoDB not available');
+
+    const user = await createUser();
+    const order = await createOrder(user, {
+      paymentMethod: 'razorpay',
+      paymentDetails: { provider: 'razorpay', providerPaymentId: 'order_test', amount: 500, currency: 'INR' }
+    });
+
+    const res = await postEvent({
+      event: 'payment.captured',
+      payload: {
+        payment: {
+          entity: {
+            id: 'pay_test',
+            order_id: 'order_test',
+            status: 'captured',
+            amount: 50000,
+            currency: 'INR',
+            method: 'upi',
+            notes: { orderId: order._id.toString() }
+          }
+        }
+      }
+    }, 'evt_razorpay_captured');
+    assert.strictEqual(res.status, 200, res.text);
+
+    const updated = await Order.findById(order._id);
+    assert.strictEqual(updated.paymentStatus, 'completed');
+    assert.strictEqual(updated.paymentDetails.transactionId, 'pay_test');
+    assert.strictEqual(updated.paymentDetails.paymentMethod, 'upi');
+    assert.ok(await Payment.exists({ order: order._id, kind: 'capture', provider: 'razorpay', transactionId: 'pay_test' }));
+  });
+
+  it('rejects an event with a bad signature', async () => {
+    const res = await request(app)
+      .post('/api/payments/razorpay/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Signature', 'bad')
+      .send(JSON.stringify({ event: 'payment.captured', payload: {} }));
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+describe('fake provider checkout and webhooks', () => {
+  const postEvent = ({ body, headers }) => request(app)
+    .post('/api/payments/fake/webhook')
+    .set('Content-Type', 'application/json')
+    .set(headers)
+    .send(body.toString('utf8'));
+
+  it('takes a payment and a refund through checkout and webhooks', async (t) => {
+    if (!dbAvailable) return t.skip('MongoDB not available');
+
+    const user = await createUser();
+    const order = await createOrder(user);
+
+    // Checkout opens a fake provider payment for the order total
+    const checkout = await request(app)
+      .post('/api/payments/create-intent')
+      .set(authHeader(user))
+      .send({ orderId: order._id.toString() });
+    assert.strictEqual(checkout.status, 200, checkout.text);
+    assert.strictEqual(checkout.body.data.provider, 'fake');
+    assert.strictEqual(checkout.body.data.amount, 50000);
+    const providerPaymentId = checkout.body.data.paymentId;
+
+    // The customer pays and the gateway reports it
+    const paid = await postEvent(fake.buildWebhook('payment.succeeded', {
+      payment: {
+        ...fake.complete(providerPaymentId),
+        orderId: order._id.toString(),
+        providerPaymentId
+      }
+    }));
+    assert.strictEqual(paid.status, 200, paid.text);
+
+    let updated = await Order.findById(order._id);
+    assert.strictEqual(updated.paymentStatus, 'completed');
+    assert.strictEqual(updated.paymentDetails.provider, 'fake');
+    assert.strictEqual(updated.paymentDetails.providerPaymentId, providerPaymentId);
+
+    // A refund made at the gateway is reported back and settles the payment
+    const refunded = await postEvent(fake.buildWebhook('refund.processed', {
+      refunds: [{
+        orderId: order._id.toString(),
+        providerPaymentId,
+        providerRefundId: 'fake_refund_test',
+        amount: 500,
+        status: 'processed'
+      }]
+    }));
+    assert.strictEqual(refunded.status, 200, refunded.text);
+
+    updated = await Order.findById(order._id);
+    assert.strictEqual(updated.refunds.length, 1);
+    assert.strictEqual(updated.refunds[0].status, 'processed');
+    assert.strictEqual(updated.refunds[0].providerRefundId, 'fake_refund_test');
+    assert.strictEqual(updated.paymentStatus, 'refunded');
+
+    const ledger = await Payment.find({ order: order._id }).sort({ createdAt: 1 });
+    assert.deepStrictEqual(ledger.map(entry => entry.kind), ['attempt', 'capture', 'refund']);
+  });
+
+  it('rejects a webhook signed with another secret', async () => {
+    const { body } = fake.buildWebhook('payment.succeeded', {});
+    const res = await postEvent({ body, headers: { 'x-fake-signature': hmacHex('not-the-secret', body) } });
+    assert.strictEqual(res.status, 400);
+  });
+});
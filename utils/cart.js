@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const { getCouponUserContext } = require('./coupons');
+const { evaluatePromotions } = require('./promotions');
+const config = require('../config/config');
+
+const GUEST_CART_COOKIE = 'guestCart';
+
+const guestCartCookieOptions = () => ({
+  httpOnly: true,
+  signed: true,
+  secure: false, // Set to false for HTTP Elastic Beanstalk deployment
+  sameSite: 'lax',
+  maxAge: config.cart.guestExpiryDays * 24 * 60 * 60 * 1000
+});
+
+// Middleware - work out whose cart the request is for. Logged-in users own their cart;
+// anonymous shoppers get a cart keyed by a random ID in a signed cookie.
+const resolveCartOwner = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { user: req.user._id };
+    return next();
+  }
+
+  let guestId = req.signedCookies && req.signedCookies[GUEST_CART_COOKIE];
+  if (!guestId) {
+    guestId = crypto.randomUUID();
+    res.cookie(GUEST_CART_COOKIE, guestId, guestCartCookieOptions());
+  }
+  req.cartOwner = { guestId };
+  next();
+};
+
+// Build a cart line from the catalog entry for a product and size
+const toCartItem = (product, sizeObj, quantity) => ({
+  productId: product._id.toString(),
+  product: product._id,
+  size: sizeObj.size,
+  sku: sizeObj.sku,
+  quantity,
+  name: product.name,
+  price: sizeObj.price,
+  image: product.image,
+  category: product.category
+});
+
+// Look up a product and its size entry for a cart mutation
+const resolveCartProduct = async (productId, size) => {
+  const product = await Product.findByClientId(productId);
+  if (!product || !product.isActive) {
+    return { status: 404, message: `Product ${productId} not found` };
+  }
+
+  const sizeObj = product.sizes.find(s => s.size === size);
+  if (!sizeObj) {
+    return { status: 400, message: `Size ${size} is not available for ${product.name}` };
+  }
+
+  return { product, sizeObj };
+};
+
+// Re-price every cart line from the catalog and clamp quantities to available stock.
+// Lines whose product or size no longer exists, or which are out of stock, are dropped.
+// Returns the list of adjustments made so the client can tell the shopper.
+const refreshCartItems = async (cart) => {
+  const adjustments = [];
+  const productIds = [...new Set(cart.items.map(item => item.productId))];
+  const products = await Product.find({
+    _id: { $in: productIds.filter(id => /^[0-9a-fA-F]{24}$/.test(id)) },
+    isActive: true
+  });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const items = [];
+  for (const item of cart.items) {
+    const product = productMap.get(item.productId);
+    const sizeObj = product && product.sizes.find(s => s.size === item.size);
+
+    if (!product) {
+      adjustments.push({ productId: item.productId, size: item.size, reason: 'product_unavailable' });
+      continue;
+    }
+    if (!sizeObj) {
+      adjustments.push({ productId: item.productId, size: item.size, reason: 'size_unavailable' });
+      continue;
+    }
+    if (sizeObj.stock <= 0) {
+      adjustments.push({ productId: item.productId, size: item.size, reason: 'out_of_stock' });
+      continue;
+    }
+
+    let quantity = item.quantity;
+    if (quantity > sizeObj.stock) {
+      adjustments.push({
+        productId: item.productId,
+        size: item.size,
+        reason: 'quantity_clamped',
+        requested: quantity,
+        available: sizeObj.stock
+      });
+      quantity = sizeObj.stock;
+    }
+
+    items.push(toCartItem(product, sizeObj, quantity));
+  }
+
+  cart.items = items;
+  return adjustments;
+};
+
+// Compute subtotal, discount and total for a cart, re-validating any applied coupon
+// and applying automatic promotions
+const calculateCartTotals = async (cart, userId = null) => {
+  const subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  let shippingCost = 0; // Free shipping
+  let discount = 0;
+  let allocations = [];
+  let couponApplied = false;
+  let couponIssues = [];
+
+  if (cart.appliedCoupon && cart.appliedCoupon.code) {
+    const coupon = await Coupon.findOne({ code: cart.appliedCoupon.code });
+    if (coupon) {
+      const { isFirstTime, userRedemptions } = await getCouponUserContext(coupon, userId);
+      const { canApply, reasons } = coupon.canBeApplied(subtotal, userId, isFirstTime, userRedemptions, cart.items);
+      couponIssues = reasons;
+      if (canApply) {
+        const result = coupon.calculateDiscount(subtotal, cart.items, { shippingCost });
+        discount = result.amount;
+        shippingCost -= result.shippingDiscount;
+        allocations = result.allocations;
+        couponApplied = true;
+      }
+    }
+  }
+
+  discount = Math.min(discount, subtotal);
+
+  const promotions = await evaluatePromotions({
+    subtotal,
+    items: cart.items,
+    shippingCost,
+    couponApplied,
+    couponDiscount: discount
+  });
+  discount += promotions.discount;
+  shippingCost -= promotions.shippingDiscount;
+
+  return {
+    subtotal,
+    shippingCost,
+    discount,
+    discountAllocations: [...allocations, ...promotions.allocations],
+    // Why the cart's coupon isn't currently giving a discount, if it isn't
+    couponIssues,
+    promotions: {
+      applied: promotions.applied,
+      skipped: promotions.skipped
+    },
+    total: subtotal + shippingCost - discount
+  };
+};
+
+// Merge the guest cart from the request cookie into the user's cart after login/register.
+// Quantities for the same product and size are summed and then clamped to stock.
+// Returns null when there was nothing to merge, otherwise a report of what happened.
+const mergeGuestCart = async (req, res, user) => {
+  const guestId = req.signedCookies && req.signedCookies[GUEST_CART_COOKIE];
+  if (!guestId) return null;
+
+  res.clearCookie(GUEST_CART_COOKIE, { ...guestCartCookieOptions(), maxAge: undefined });
+
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart || guestCart.items.length === 0) {
+    if (guestCart) await guestCart.deleteOne();
+    return null;
+  }
+
+  const cart = await Cart.findOrCreate({ user: user._id });
+  const conflicts = [];
+
+  for (const item of guestCart.items) {
+    const index = cart.findItemIndex(item.productId, item.size);
+    if (index > -1) {
+      conflicts.push({
+        productId: item.productId,
+        size: item.size,
+        name: item.name,
+        reason: 'quantities_combined',
+        guestQuantity: item.quantity,
+        userQuantity: cart.items[index].quantity
+      });
+    }
+    cart.addItem(item.toObject());
+  }
+
+  // Keep the user's own coupon if they already had one
+  if (!(cart.appliedCoupon && cart.appliedCoupon.code) && guestCart.appliedCoupon) {
+    cart.appliedCoupon = guestCart.appliedCoupon.toObject();
+  }
+
+  conflicts.push(...await refreshCartItems(cart));
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return {
+    mergedItems: guestCart.items.length,
+    conflicts
+  };
+};
+
+module.exports = {
+  GUEST_CART_COOKIE,
+  resolveCartOwner,
+  mergeGuestCart,
+  toCartItem,
+  resolveCartProduct,
+  refreshCartItems,
+  calculateCartTotals
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { AppError } = require('../middleware/errorHandler');
+const { csvValue } = require('./csv');
+
+const BATCH_SIZE = 1000;
+const MAX_ATTEMPTS = 5;
+const MAX_QUANTITY = 50000;
+
+// One random code from the campaign's alphabet, e.g. "INFL-" + "K7QX9M2A"
+const generateCode = ({ prefix, codeLength, alphabet }) => {
+  let code = prefix || '';
+  for (let i = 0; i < codeLength; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+};
+
+// Coupon fields for one generated code. Campaign codes are single use unless the
+// template says otherwise.
+const buildCouponDoc = (campaign, code) => ({
+  usageLimit: 1,
+  perUserLimit: 1,
+  ...campaign.couponTemplate,
+  code,
+  description: (campaign.couponTemplate && campaign.couponTemplate.description) || campaign.description || campaign.name,
+  campaign: campaign._id
+});
+
+// Check the template makes a valid Coupon before generating thousands of them
+const validateCouponTemplate = (campaign) => {
+  const sample = new Coupon(buildCouponDoc(campaign, generateCode(campaign)));
+  const error = sample.validateSync();
+  if (error) {
+    throw new AppError(`Invalid coupon template: ${error.message}`, 400);
+  }
+};
+
+// Generate `quantity` new unique codes for a campaign. Codes that collide with an existing
+// coupon are dropped by the unique index and replaced on the next pass.
+const generateCampaignCoupons = async (campaign, quantity) => {
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    throw new AppError(`Quantity must be between 1 and ${MAX_QUANTITY}`, 400);
+  }
+  validateCouponTemplate(campaign);
+
+  let created = 0;
+  for (let attempt = 1; created < quantity && attempt <= MAX_ATTEMPTS; attempt++) {
+    while (created < quantity) {
+      const batch = new Set();
+      const batchSize = Math.min(BATCH_SIZE, quantity - created);
+      while (batch.size < batchSize) {
+        batch.add(generateCode(campaign));
+      }
+
+      const docs = [...batch].map(code => buildCouponDoc(campaign, code));
+      try {
+        await Coupon.insertMany(docs, { ordered: false });
+        created += docs.length;
+      } catch (error) {
+        const duplicatesOnly = error.writeErrors && error.writeErrors.every(writeError =>
+          (writeError.code || (writeError.err && writeError.err.code)) === 11000);
+        if (!duplicatesOnly) throw error;
+
+        created += (error.insertedDocs || []).length;
+        break; // go round again for the collided codes
+      }
+    }
+  }
+
+  if (created < quantity) {
+    throw new AppError(`Only ${created} of ${quantity} codes could be generated; try a longer code length`, 409);
+  }
+
+  campaign.generatedCount += created;
+  await campaign.save();
+  return created;
+};
+
+// Redemption figures for all of a campaign's codes
+const getCampaignStats = async (campaign) => {
+  const couponIds = await Coupon.find({ campaign: campaign._id }).distinct('_id');
+
+  const [codes, redemptions] = await Promise.all([
+    Coupon.aggregate([
+      { $match: { campaign: campaign._id } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          redeemed: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } }
+        }
+      }
+    ]),
+    CouponRedemption.aggregate([
+      { $match: { coupon: { $in: couponIds }, releasedAt: null } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$amount' },
+          users: { $addToSet: '$user' },
+          firstRedeemedAt: { $min: '$at' },
+          lastRedeemedAt: { $max: '$at' }
+        }
+      }
+    ])
+  ]);
+
+  const codeStats = codes[0] || { total: 0, redeemed: 0, active: 0 };
+  const redemptionStats = redemptions[0] || {};
+
+  return {
+    totalCodes: codeStats.total,
+    redeemedCodes: codeStats.redeemed,
+    activeCodes: codeStats.active,
+    redemptionRate: codeStats.total ? Math.round((codeStats.redeemed / codeStats.total) * 10000) / 100 : 0,
+    redemptions: redemptionStats.redemptions || 0,
+    totalDiscount: redemptionStats.totalDiscount || 0,
+    uniqueUsers: redemptionStats.users ? redemptionStats.users.length : 0,
+    firstRedeemedAt: redemptionStats.firstRedeemedAt || null,
+    lastRedeemedAt: redemptionStats.lastRedeemedAt || null
+  };
+};
+
+// Stream a campaign's codes as CSV rows to a writable (the HTTP response)
+const writeCampaignCsv = async (campaign, out) => {
+  out.write('code,usedCount,usageLimit,validFrom,validUntil,isActive\n');
+
+  const cursor = Coupon.find({ campaign: campaign._id })
+    .select('code usedCount usageLimit validFrom validUntil isActive')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const coupon of cursor) {
+    out.write([
+      coupon.code,
+      coupon.usedCount,
+      coupon.usageLimit,
+      coupon.validFrom,
+      coupon.validUntil,
+      coupon.isActive
+    ].map(csvValue).join(',') + '\n');
+  }
+};
+
+module.exports = {
+  generateCampaignCoupons,
+  getCampaignStats,
+  writeCampaignCsv
+};
@@ -0,0 +1,105 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const { AppError } = require('../middleware/errorHandler');
+
+const PER_USER_LIMIT_MESSAGE = 'You have already used this coupon the maximum number of times';
+
+// Whether the user has no orders yet (cancelled orders don't count).
+// Guests are treated as first-time customers.
+const isFirstOrder = async (userId) => {
+  if (!userId) return true;
+  return !(await Order.exists({ user: userId, orderStatus: { $ne: 'cancelled' } }));
+};
+
+// Per-user facts canBeApplied needs: first-order status and how often the user already used the coupon
+const getCouponUserContext = async (coupon, userId) => {
+  if (!userId) {
+    return { isFirstTime: true, userRedemptions: 0 };
+  }
+
+  const [isFirstTime, userRedemptions] = await Promise.all([
+    isFirstOrder(userId),
+    CouponRedemption.countForUser(coupon._id, userId)
+  ]);
+  return { isFirstTime, userRedemptions };
+};
+
+// Look up a coupon by code and price it against the real order lines.
+// Returns the coupon with its { discount, shippingDiscount, allocations }.
+// Throws a 400 AppError if the code is unknown or can't be used for this order; in the
+// latter case the error carries the coupon's `reasons`.
+const resolveOrderCoupon = async (code, { subtotal, items, userId, shippingCost = 0 }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon) {
+    throw new AppError('Invalid coupon code', 400);
+  }
+
+  const { isFirstTime, userRedemptions } = await getCouponUserContext(coupon, userId);
+  const { canApply, reasons } = coupon.canBeApplied(subtotal, userId, isFirstTime, userRedemptions, items);
+  if (!canApply) {
+    const error = new AppError(reasons[0].message, 400);
+    error.reasons = reasons;
+    throw error;
+  }
+
+  const { amount, shippingDiscount, allocations } = coupon.calculateDiscount(subtotal, items, { shippingCost });
+  return { coupon, discount: amount, shippingDiscount, allocations };
+};
+
+// Count one use of a coupon inside the checkout transaction and record the redemption.
+// The global limit is checked in the same update, so concurrent checkouts can't push
+// usedCount past usageLimit. The per-user limit is held by the redemption's unique slot:
+// of two concurrent checkouts taking the same user's last use, only one can insert it.
+const claimCouponUsage = async ({ coupon, userId, order, amount }, session = null) => {
+  let slot;
+  if (coupon.perUserLimit !== -1) {
+    const userRedemptions = await CouponRedemption.countForUser(coupon._id, userId, session);
+    slot = userRedemptions < coupon.perUserLimit
+      ? await CouponRedemption.freeSlotForUser(coupon._id, userId, coupon.perUserLimit, session)
+      : null;
+    if (slot === null) {
+      throw new AppError(PER_USER_LIMIT_MESSAGE, 409);
+    }
+  }
+
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: -1 },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new AppError('This coupon has reached its usage limit', 409);
+  }
+
+  try {
+    await CouponRedemption.create([{
+      coupon: coupon._id,
+      code: coupon.code,
+      user: userId,
+      order,
+      amount,
+      slot
+    }], { session });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.slot) {
+      throw new AppError(PER_USER_LIMIT_MESSAGE, 409);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  isFirstOrder,
+  getCouponUserContext,
+  resolveOrderCoupon,
+  claimCouponUsage
+};
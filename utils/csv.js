@@ -0,0 +1,55 @@
+// Quote a value for CSV output
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into objects keyed by
+// the lower-cased header row. Blank lines are skipped; trim() also drops a leading BOM.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const keys = header.map(cell => cell.trim().toLowerCase());
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+};
+
+module.exports = {
+  csvValue,
+  parseCsv
+};
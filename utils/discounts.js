@@ -0,0 +1,169 @@
+// Discount rules shared by coupons (and anything else priced like one).
+// A rule is any object with the Coupon discount fields: type, discount, maxDiscount,
+// tiers, bogo and the categories/products/skus inclusion and exclusion lists.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Checkout doesn't charge for shipping yet (shippingCost is always 0 in routes/orders.js
+// and utils/cart.js), so a free_shipping rule could never be worth anything
+const UNAVAILABLE_TYPES = ['free_shipping'];
+const UNAVAILABLE_TYPE_MESSAGE = 'Free shipping discounts are not available while shipping is free';
+
+const isAvailableRuleType = (type) => !UNAVAILABLE_TYPES.includes(type);
+
+// Schema validator for a rule's type. Documents saved before keep their type; update
+// validators (where `this` is not a document) check the new one.
+const availableRuleType = {
+  validator: function(type) {
+    if (this && typeof this.isModified === 'function' && !this.isNew && !this.isModified('type')) return true;
+    return isAvailableRuleType(type);
+  },
+  message: UNAVAILABLE_TYPE_MESSAGE
+};
+
+// Cart lines carry productId, order lines product (possibly populated), storefront lines id
+const lineProductId = (item) => String(
+  item.product && item.product._id ? item.product._id : (item.product || item.productId || item.id || '')
+);
+
+const lineTotal = (item) => item.price * item.quantity;
+
+const includesId = (list, id) => (list || []).some(entry => String(entry) === id);
+
+// Whether a cart/order line is in scope for a rule. Exclusions always win; when a rule
+// lists products or SKUs, a line must match one of them.
+const isEligibleLine = (rule, item) => {
+  const productId = lineProductId(item);
+
+  if (includesId(rule.excludedProducts, productId)) return false;
+  if (item.sku && (rule.excludedSkus || []).includes(item.sku)) return false;
+
+  if (rule.categories && rule.categories.length > 0 && !rule.categories.includes(item.category)) {
+    return false;
+  }
+
+  const hasProducts = rule.products && rule.products.length > 0;
+  const hasSkus = rule.skus && rule.skus.length > 0;
+  if (hasProducts || hasSkus) {
+    return includesId(rule.products, productId) || Boolean(item.sku && rule.skus.includes(item.sku));
+  }
+
+  return true;
+};
+
+// Spread a discount over lines in proportion to a weight (the line total by default).
+// Rounding is settled on the last line so the allocations always add up to the amount.
+const allocateProportionally = (amount, lines, weight = lineTotal) => {
+  const base = lines.reduce((sum, line) => sum + weight(line), 0);
+  if (amount <= 0 || base <= 0) return [];
+
+  let remaining = roundMoney(amount);
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? remaining
+      : roundMoney(amount * weight(line) / base);
+    remaining = roundMoney(remaining - share);
+    return { line, amount: share };
+  });
+};
+
+// Buy X get Y: for every complete group of buyQuantity + getQuantity eligible units, the
+// cheapest getQuantity units are discounted by getDiscount percent (100 = free)
+const bogoAllocations = (rule, lines) => {
+  const { buyQuantity = 1, getQuantity = 1, getDiscount = 100 } = rule.bogo || {};
+  const units = [];
+  lines.forEach(line => {
+    for (let i = 0; i < line.quantity; i++) units.push(line);
+  });
+
+  const groupSize = buyQuantity + getQuantity;
+  const freeUnits = Math.floor(units.length / groupSize) * getQuantity;
+  if (freeUnits === 0) return [];
+
+  const perLine = new Map();
+  units
+    .sort((a, b) => a.price - b.price)
+    .slice(0, freeUnits)
+    .forEach(line => {
+      perLine.set(line, (perLine.get(line) || 0) + (line.price * getDiscount) / 100);
+    });
+
+  return [...perLine].map(([line, amount]) => ({ line, amount: roundMoney(amount) }));
+};
+
+// Best tier whose threshold the eligible amount reaches
+const pickTier = (rule, eligibleAmount) => {
+  return [...(rule.tiers || [])]
+    .sort((a, b) => b.minAmount - a.minAmount)
+    .find(tier => eligibleAmount >= tier.minAmount) || null;
+};
+
+// Work out what a rule takes off an order.
+// Returns { amount, shippingDiscount, allocations } where allocations lists the item
+// discount per line ({ productId, size, sku, amount }) and adds up to amount.
+// Without line items (e.g. a quick validate call) the whole order amount is treated as
+// one eligible line unless the rule is scoped to specific products or SKUs.
+const calculateRuleDiscount = (rule, orderAmount, items = [], { shippingCost = 0 } = {}) => {
+  const result = { amount: 0, shippingDiscount: 0, allocations: [] };
+
+  if (rule.type === 'free_shipping') {
+    result.shippingDiscount = roundMoney(shippingCost);
+    return result;
+  }
+
+  let lines = items.filter(item => isEligibleLine(rule, item));
+  if (items.length === 0) {
+    const scoped = (rule.products && rule.products.length > 0) || (rule.skus && rule.skus.length > 0);
+    lines = scoped || rule.type === 'bogo' ? [] : [{ price: orderAmount, quantity: 1 }];
+  }
+  const eligibleAmount = lines.reduce((sum, line) => sum + lineTotal(line), 0);
+
+  let allocations;
+  if (rule.type === 'bogo') {
+    allocations = bogoAllocations(rule, lines);
+  } else {
+    let amount = 0;
+    const tier = rule.type === 'tiered' ? pickTier(rule, eligibleAmount) : rule;
+    if (tier) {
+      amount = tier.type === 'fixed' ? tier.discount : (eligibleAmount * tier.discount) / 100;
+    }
+    allocations = allocateProportionally(Math.min(amount, eligibleAmount), lines);
+  }
+
+  let amount = allocations.reduce((sum, entry) => sum + entry.amount, 0);
+
+  // Apply maximum discount limit if specified
+  if (rule.maxDiscount && amount > rule.maxDiscount) {
+    allocations = allocateProportionally(rule.maxDiscount, allocations, entry => entry.amount)
+      .map(({ line: entry, amount: capped }) => ({ line: entry.line, amount: capped }));
+    amount = rule.maxDiscount;
+  }
+
+  result.amount = roundMoney(amount);
+  result.allocations = items.length === 0 ? [] : allocations.map(({ line, amount: lineAmount }) => ({
+    productId: lineProductId(line),
+    size: line.size,
+    sku: line.sku,
+    amount: lineAmount
+  }));
+  return result;
+};
+
+// Add allocated discounts onto the matching order lines' `discount`
+const applyLineDiscounts = (lines, allocations) => {
+  allocations.forEach(allocation => {
+    const line = lines.find(item => lineProductId(item) === allocation.productId && item.size === allocation.size);
+    if (line) line.discount = roundMoney((line.discount || 0) + allocation.amount);
+  });
+  return lines;
+};
+
+module.exports = {
+  roundMoney,
+  UNAVAILABLE_TYPE_MESSAGE,
+  isAvailableRuleType,
+  availableRuleType,
+  isEligibleLine,
+  calculateRuleDiscount,
+  applyLineDiscounts
+};
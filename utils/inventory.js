@@ -0,0 +1,175 @@
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { AppError } = require('../middleware/errorHandler');
+
+// Order restock reasons map onto ledger reasons; an expired payment hold is a cancellation
+const MOVEMENT_REASONS = {
+  sale: 'sale',
+  cancel: 'cancel',
+  expiry: 'cancel',
+  return: 'return',
+  manual: 'manual',
+  import: 'import'
+};
+
+// Write one ledger entry for a product size, using the product's stock after the change
+const recordMovement = ({ product, size, delta, reason, order = null, actor = null, note, session = null }) => {
+  const sizeObj = product.sizes.find(s => s.size === size);
+  return InventoryMovement.create([{
+    product: product._id,
+    size,
+    sku: sizeObj && sizeObj.sku,
+    delta,
+    reason: MOVEMENT_REASONS[reason],
+    order,
+    actor,
+    resultingLevel: sizeObj ? sizeObj.stock : 0,
+    note
+  }], { session });
+};
+
+// Take stock for one product size and record the movement.
+// Returns false (and records nothing) if there isn't enough stock.
+const decrementStock = async ({ productId, size, quantity, reason = 'sale', order, actor, note, session = null }) => {
+  const product = await Product.reserveStock(productId, size, quantity, session);
+  if (!product) return false;
+
+  await recordMovement({ product, size, delta: -quantity, reason, order, actor, note, session });
+  return true;
+};
+
+// Put stock back for one product size and record the movement
+const incrementStock = async ({ productId, size, quantity, reason, order, actor, note, session = null }) => {
+  const product = await Product.releaseStock(productId, size, quantity, session);
+  if (!product) return false;
+
+  await recordMovement({ product, size, delta: quantity, reason, order, actor, note, session });
+  return true;
+};
+
+// Set the absolute stock level for one product size and record the difference
+const setStockLevel = async ({ productId, size, level, reason = 'manual', actor, note, session = null }) => {
+  const previous = await Product.setStockLevel(productId, size, level, session);
+  if (!previous) return false;
+
+  const sizeObj = previous.sizes.find(s => s.size === size);
+  const delta = level - sizeObj.stock;
+  if (delta !== 0) {
+    sizeObj.stock = level;
+    await recordMovement({ product: previous, size, delta, reason, actor, note, session });
+  }
+  return true;
+};
+
+// Record the stock differences after an edit that replaced a product's sizes array
+// wholesale. Pass an empty `beforeSizes` for a newly created product.
+const recordStockChanges = async (beforeSizes, product, { reason = 'manual', actor, note } = {}) => {
+  const previous = new Map((beforeSizes || []).map(s => [s.size, s.stock || 0]));
+
+  for (const sizeObj of product.sizes) {
+    const delta = sizeObj.stock - (previous.get(sizeObj.size) || 0);
+    previous.delete(sizeObj.size);
+    if (delta !== 0) {
+      await recordMovement({ product, size: sizeObj.size, delta, reason, actor, note });
+    }
+  }
+
+  // Sizes removed by the edit take their remaining stock with them
+  for (const [size, stock] of previous) {
+    if (stock !== 0) {
+      await recordMovement({ product, size, delta: -stock, reason, actor, note: note || 'Size removed' });
+    }
+  }
+};
+
+// Reserve stock for every order line inside the given session. If any line cannot be
+// fulfilled, throws a 409 AppError carrying `shortLines` so the transaction rolls back.
+const reserveOrderItems = async (items, session, { order = null, actor = null } = {}) => {
+  const shortLines = [];
+
+  for (const item of items) {
+    const reserved = await decrementStock({
+      productId: item.product,
+      size: item.size,
+      quantity: item.quantity,
+      reason: 'sale',
+      order,
+      actor,
+      session
+    });
+    if (!reserved) {
+      const product = await Product.findById(item.product).session(session);
+      const sizeObj = product && product.sizes.find(s => s.size === item.size);
+      shortLines.push({
+        productId: item.product,
+        name: item.name,
+        size: item.size,
+        requested: item.quantity,
+        available: sizeObj ? sizeObj.stock : 0
+      });
+    }
+  }
+
+  if (shortLines.length > 0) {
+    const error = new AppError('Some items are not available in the requested quantity', 409);
+    error.shortLines = shortLines;
+    throw error;
+  }
+};
+
+// Compare the ledger with the current stock level for each size of a product
+// (or just one size). A mismatch means stock changed without a movement being recorded.
+const reconcileProductStock = async (product, size = null) => {
+  const sizes = product.sizes.filter(s => !size || s.size === size);
+  const rows = [];
+
+  for (const sizeObj of sizes) {
+    const { total, count } = await InventoryMovement.ledgerTotal(product._id, sizeObj.size);
+    const lastMovement = await InventoryMovement.findOne({ product: product._id, size: sizeObj.size })
+      .sort({ createdAt: -1 });
+
+    rows.push({
+      size: sizeObj.size,
+      sku: sizeObj.sku,
+      currentLevel: sizeObj.stock,
+      ledgerTotal: total,
+      movementCount: count,
+      lastResultingLevel: lastMovement ? lastMovement.resultingLevel : null,
+      difference: sizeObj.stock - total,
+      status: sizeObj.stock === total ? 'ok' : 'mismatch'
+    });
+  }
+
+  return rows;
+};
+
+// Record a correcting movement for every mismatched size so the ledger matches the
+// current level again (e.g. an opening balance for stock that predates the ledger)
+const recordReconciliationAdjustments = async (product, size = null, actor = null) => {
+  const rows = await reconcileProductStock(product, size);
+  const adjustments = [];
+
+  for (const row of rows.filter(r => r.status === 'mismatch')) {
+    const [movement] = await recordMovement({
+      product,
+      size: row.size,
+      delta: row.difference,
+      reason: 'manual',
+      actor,
+      note: 'Reconciliation adjustment'
+    });
+    adjustments.push(movement);
+  }
+
+  return adjustments;
+};
+
+module.exports = {
+  decrementStock,
+  incrementStock,
+  setStockLevel,
+  recordStockChanges,
+  reserveOrderItems,
+  reconcileProductStock,
+  recordReconciliationAdjustments
+};
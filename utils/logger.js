@@ -27,6 +27,8 @@ const consoleFormat = winston.format.combine(
 // Create logger instance
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  // Tests shouldn't write to the log files
+  silent: process.env.NODE_ENV === 'test',
   format: logFormat,
   defaultMeta: { service: 'vibe-bites-api' },
   transports: [
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const Counter = require('../models/Counter');
+const config = require('../config/config');
+
+// Date part of the order number, in local time like the rest of the order dates
+const formatDatePart = (date, format) => {
+  const year = String(date.getFullYear());
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  switch (format) {
+    case 'YYYYMMDD':
+      return `${year}${month}${day}`;
+    case 'YYMMDD':
+      return `${year.slice(2)}${month}${day}`;
+    default:
+      return '';
+  }
+};
+
+// Luhn check digit over the numeric part, so mistyped order numbers can be spotted
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Generate the next order number: prefix + date part + counter + optional check digit.
+// The counter is advanced outside any transaction, so an aborted checkout leaves a gap
+// rather than holding a lock on the counter or handing the same number out twice.
+const generateOrderNumber = async (date = new Date()) => {
+  const { prefix, datePart: datePartFormat, sequenceDigits, maxIncrement, checkDigit } = config.orderNumbers;
+  const datePart = formatDatePart(date, datePartFormat);
+  const step = maxIncrement > 1 ? crypto.randomInt(1, maxIncrement + 1) : 1;
+
+  const seq = await Counter.increment(datePart ? `orderNumber:${datePart}` : 'orderNumber', step);
+  const digits = `${datePart}${String(seq).padStart(sequenceDigits, '0')}`;
+
+  return `${prefix}${digits}${checkDigit ? luhnCheckDigit(digits) : ''}`;
+};
+
+// Whether an error is a unique-index clash on Order.orderNumber
+const isDuplicateOrderNumberError = (error) => Boolean(
+  error && error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber
+);
+
+module.exports = {
+  generateOrderNumber,
+  isDuplicateOrderNumberError
+};
@@ -0,0 +1,135 @@
+const config = require('../config/config');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { AppError } = require('../middleware/errorHandler');
+const { getProvider, getProviderForMethod } = require('./payments');
+const { logger } = require('./logger');
+
+// Load one of the caller's orders that can still be paid for
+const loadPayableOrder = async (orderId, user) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.user.toString() !== user._id.toString()) {
+    throw new AppError('Order not found', 404);
+  }
+  if (order.orderStatus === 'cancelled') {
+    throw new AppError('Order has been cancelled', 409);
+  }
+  if (['completed', 'refunded'].includes(order.paymentStatus)) {
+    throw new AppError('Order has already been paid', 409);
+  }
+  return order;
+};
+
+// Restart the stock hold for the order's payment method: online methods get a fresh
+// holdMinutes window, methods without one (cod) hold until the order is cancelled.
+// Orders placed without a hold (cod) get one when switched to an online method, so the
+// sweeper releases their stock if that payment never arrives.
+// Orders whose hold was already converted or released are left alone.
+const renewReservation = (order) => {
+  const status = order.reservation && order.reservation.status;
+  if (status && status !== 'held') return;
+
+  const holdMinutes = config.inventoryHolds.holdMinutes[order.paymentMethod];
+  if (!holdMinutes) {
+    if (status) order.set('reservation.expiresAt', undefined);
+    return;
+  }
+
+  order.set('reservation.status', 'held');
+  order.set('reservation.expiresAt', new Date(Date.now() + holdMinutes * 60 * 1000));
+};
+
+// Switch an unpaid order to another payment method. Cash on delivery is only offered up to
+// payments.codMaxAmount; online methods need a configured provider.
+// Switching to cash on delivery cancels the open provider payment where the provider allows it
+// and forgets it, so the order isn't expected to show up in the provider's records.
+// Does not save or touch the stock hold (see renewReservation).
+const changePaymentMethod = async (order, paymentMethod, { by = null } = {}) => {
+  if (paymentMethod === order.paymentMethod) return order;
+
+  if (paymentMethod === 'cod') {
+    if (order.total > config.payments.codMaxAmount) {
+      throw new AppError(`Cash on delivery is only available for orders up to ₹${config.payments.codMaxAmount}`, 400);
+    }
+    await cancelOpenPayment(order);
+  } else {
+    getProviderForMethod(paymentMethod);
+  }
+
+  const from = order.paymentMethod;
+  order.paymentMethod = paymentMethod;
+  if (order.paymentStatus === 'failed') {
+    order.transitionStatus('paymentStatus', 'pending', { by, note: `Payment method changed from ${from} to ${paymentMethod}` });
+  }
+  return order;
+};
+
+// Cancel and forget the order's open provider payment. A payment the provider can't cancel
+// (e.g. Razorpay orders) is left to expire; if the customer still completes it, the
+// webhook records it against the order.
+const cancelOpenPayment = async (order) => {
+  const { provider: providerName, providerPaymentId } = order.paymentDetails || {};
+  if (!providerName || !providerPaymentId) return;
+
+  const provider = getProvider(providerName);
+  if (provider.cancel) {
+    try {
+      await provider.cancel({ providerPaymentId });
+    } catch (error) {
+      // e.g. the customer paid in the meantime; the webhook will settle the order
+      logger.error(`Could not cancel ${providerName} payment ${providerPaymentId} for order ${order.orderNumber}:`, error);
+      throw new AppError('The earlier online payment could not be cancelled. Please try again shortly', 409);
+    }
+  }
+
+  ['provider', 'providerPaymentId', 'amount', 'currency'].forEach((key) => {
+    order.set(`paymentDetails.${key}`, undefined);
+  });
+};
+
+// Open a provider payment for the order's total with the provider for its payment method,
+// and remember which provider payment was opened and for how much.
+// Each payment opened counts towards payments.maxAttempts; a failed order goes back to pending.
+// Returns { provider, clientData } for the checkout.
+const openOrderPayment = async (order, { by = null } = {}) => {
+  if (order.paymentAttempts >= config.payments.maxAttempts) {
+    throw new AppError('Too many payment attempts for this order. Please place a new order or contact support', 429);
+  }
+
+  const provider = getProviderForMethod(order.paymentMethod);
+  const currency = config.payments.currency;
+
+  const { providerPaymentId, clientData } = await provider.createPayment({
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    userId: order.user.toString(),
+    amount: order.total,
+    currency
+  });
+
+  if (order.paymentStatus === 'failed') {
+    order.transitionStatus('paymentStatus', 'pending', { by, note: 'Payment retried' });
+  }
+  order.paymentAttempts += 1;
+  order.set('paymentDetails.provider', provider.name);
+  order.set('paymentDetails.providerPaymentId', providerPaymentId);
+  order.set('paymentDetails.amount', order.total);
+  order.set('paymentDetails.currency', currency);
+  await order.save();
+
+  await Payment.recordAttempt(order, {
+    provider: provider.name,
+    providerPaymentId,
+    amount: order.total,
+    currency
+  });
+
+  return { provider, clientData };
+};
+
+module.exports = {
+  loadPayableOrder,
+  renewReservation,
+  changePaymentMethod,
+  openOrderPayment
+};
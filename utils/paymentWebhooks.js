@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { logger } = require('./logger');
+
+// Mark an order paid and move it out of "pending". Replays of a payment we already
+// recorded are ignored.
+const markOrderPaid = async (order, paymentDetails, note) => {
+  if (['completed', 'refunded'].includes(order.paymentStatus)) return false;
+
+  if (order.orderStatus === 'pending') {
+    order.transitionStatus('orderStatus', 'confirmed', { note });
+  } else if (order.orderStatus === 'cancelled') {
+    // e.g. the payment hold expired just before the customer paid
+    logger.warn(`Payment received for cancelled order ${order.orderNumber}; it needs to be refunded`);
+  }
+
+  await order.updatePaymentStatus('completed', paymentDetails, { note });
+  return true;
+};
+
+// Whether a provider payment is for the amount and currency the order's payment was
+// opened for. A mismatch is logged and the payment is left for an admin to look at.
+const isExpectedPayment = (order, amount, currency, source) => {
+  if (order.matchesPayment(amount, currency)) return true;
+  logger.error(`${source} payment of ${amount} ${currency} does not match order ${order.orderNumber} (${order.paymentDetails.amount} ${order.paymentDetails.currency})`);
+  return false;
+};
+
+// Record a failed (or abandoned) payment attempt
+const markOrderPaymentFailed = async (order, note) => {
+  if (!Order.canTransition('paymentStatus', order.paymentStatus, 'failed')) return false;
+  await order.updatePaymentStatus('failed', {}, { note });
+  return true;
+};
+
+// Find the order a webhook update belongs to: by the orderId metadata/notes set when the
+// provider payment was created, falling back to the stored provider payment id
+const findEventOrder = async (provider, { orderId, providerPaymentId }) => {
+  if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+    const order = await Order.findById(orderId);
+    if (order) return order;
+  }
+  if (providerPaymentId) {
+    return Order.findOne({
+      'paymentDetails.provider': provider,
+      'paymentDetails.providerPaymentId': providerPaymentId
+    });
+  }
+  return null;
+};
+
+// Apply a verified webhook event (as returned by a provider's parseWebhook) to its order
+// and record it in the payment ledger. Returns the order it touched, if any.
+const handlePaymentEvent = async (provider, event, { webhookEvent = null } = {}) => {
+  const source = 'webhook';
+  let order = null;
+
+  if (event.payment) {
+    const { payment } = event;
+    order = await findEventOrder(provider, payment);
+    if (!order) {
+      logger.warn(`No order found for ${provider} event ${event.id} (${event.type})`);
+      return null;
+    }
+
+    const entry = {
+      provider,
+      providerPaymentId: payment.providerPaymentId,
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      source,
+      webhookEvent
+    };
+
+    if (payment.status === 'succeeded') {
+      // Money taken is always recorded, even if it can't be applied to the order
+      await Payment.recordCapture(order, {
+        ...entry,
+        transactionId: payment.transactionId,
+        paymentMethod: payment.paymentMethod
+      });
+      if (!isExpectedPayment(order, payment.amount, payment.currency, provider)) return order;
+      await markOrderPaid(order, {
+        // The payment that was taken, even if the customer has since switched payment method
+        provider,
+        providerPaymentId: payment.providerPaymentId,
+        transactionId: payment.transactionId,
+        paymentMethod: payment.paymentMethod
+      }, `Payment received (${provider})`);
+    } else if (payment.status === 'failed') {
+      const reason = payment.failureReason || `Payment failed (${provider})`;
+      await Payment.recordFailure(order, { ...entry, reason });
+      // A payment the customer has since retried (POST /api/orders/:id/pay) no longer decides the order
+      if (payment.providerPaymentId && payment.providerPaymentId !== order.paymentDetails.providerPaymentId) {
+        logger.info(`Ignoring failure of superseded ${provider} payment ${payment.providerPaymentId} for order ${order.orderNumber}`);
+      } else {
+        await markOrderPaymentFailed(order, reason);
+      }
+    }
+  }
+
+  for (const refund of event.refunds) {
+    order = await findEventOrder(provider, refund);
+    if (!order) {
+      logger.warn(`No order found for ${provider} refund ${refund.providerRefundId}`);
+      continue;
+    }
+    await order.applyProviderRefund({ provider, ...refund });
+
+    const applied = order.refunds.find(entry => entry.providerRefundId === refund.providerRefundId);
+    if (applied) {
+      await Payment.recordRefund(order, applied, { source, webhookEvent });
+    }
+  }
+
+  if (!event.payment && event.refunds.length === 0) {
+    logger.info(`Unhandled ${provider} event type: ${event.type}`);
+  }
+  return order;
+};
+
+module.exports = {
+  markOrderPaid,
+  markOrderPaymentFailed,
+  handlePaymentEvent
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/errorHandler');
+
+// In-process payment gateway for working offline. Payments live in memory,
+// the "customer" pays as soon as the checkout response is verified, and webhooks are
+// plain JSON already in our event shape, signed with FAKE_WEBHOOK_SECRET.
+// Never used in production (see routes/payments.js).
+
+const name = 'fake';
+
+const payments = new Map();
+
+// No default: anyone who knew it could post "payment succeeded" events
+const webhookSecret = () => {
+  if (!process.env.FAKE_WEBHOOK_SECRET) {
+    throw new AppError('Fake payment webhooks are not configured. Please add FAKE_WEBHOOK_SECRET to environment variables.', 503);
+  }
+  return process.env.FAKE_WEBHOOK_SECRET;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const findPayment = (providerPaymentId) => {
+  const payment = payments.get(providerPaymentId);
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+  return payment;
+};
+
+const toPayment = (payment) => ({
+  status: payment.status,
+  transactionId: payment.transactionId,
+  amount: payment.amount,
+  currency: payment.currency,
+  paymentMethod: 'card'
+});
+
+const createPayment = async ({ orderId, amount, currency }) => {
+  const payment = {
+    id: randomId('fake_pay'),
+    orderId,
+    amount: Math.round(amount * 100), // Convert to paise
+    currency: currency.toUpperCase(),
+    status: 'pending',
+    transactionId: null,
+    refunded: 0
+  };
+  payments.set(payment.id, payment);
+
+  return {
+    providerPaymentId: payment.id,
+    clientData: { paymentId: payment.id, amount: payment.amount, currency: payment.currency }
+  };
+};
+
+// Settle a pending payment as the customer would; { fail: true } declines it
+const complete = (providerPaymentId, { fail = false } = {}) => {
+  const payment = findPayment(providerPaymentId);
+  if (payment.status === 'pending') {
+    payment.status = fail ? 'failed' : 'succeeded';
+    payment.transactionId = fail ? null : randomId('fake_txn');
+  }
+  return toPayment(payment);
+};
+
+// A checkout response (the payment id echoed back by the client) means the customer paid;
+// without one this only reports the payment's state
+const verify = async ({ providerPaymentId, paymentId, paymentIntentId }) => {
+  const checkoutId = paymentId || paymentIntentId;
+  if (!checkoutId) return toPayment(findPayment(providerPaymentId));
+  if (checkoutId !== providerPaymentId) {
+    throw new AppError('Payment does not belong to this order', 400);
+  }
+  return complete(providerPaymentId);
+};
+
+const capture = async ({ providerPaymentId }) => toPayment(findPayment(providerPaymentId));
+
+// A pending payment can no longer be paid once cancelled
+const cancel = async ({ providerPaymentId }) => {
+  const payment = findPayment(providerPaymentId);
+  if (payment.status !== 'pending') {
+    throw new AppError(`Payment is already ${payment.status}`, 409);
+  }
+  payment.status = 'failed';
+  return toPayment(payment);
+};
+
+const refund = async ({ providerPaymentId, amount }) => {
+  const payment = findPayment(providerPaymentId);
+  const paise = Math.round(amount * 100);
+  if (payment.status !== 'succeeded' || payment.refunded + paise > payment.amount) {
+    throw new AppError('Refund exceeds the captured amount', 400);
+  }
+  payment.refunded += paise;
+  return { providerRefundId: randomId('fake_refund'), status: 'processed' };
+};
+
+const sign = (rawBody) => crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+
+// Signed webhook request for an event, e.g. buildWebhook('payment.succeeded', { payment: {...} })
+const buildWebhook = (type, { payment = null, refunds = [] } = {}) => {
+  const body = Buffer.from(JSON.stringify({ id: randomId('fake_evt'), type, payment, refunds }));
+  return { body, headers: { 'x-fake-signature': sign(body) } };
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = String(headers['x-fake-signature'] || '');
+  const expected = sign(rawBody);
+  if (signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new AppError('Webhook Error: invalid signature', 400);
+  }
+
+  try {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return { id: event.id, type: event.type, payment: event.payment || null, refunds: event.refunds || [] };
+  } catch (err) {
+    throw new AppError(`Webhook Error: ${err.message}`, 400);
+  }
+};
+
+module.exports = {
+  name,
+  createPayment,
+  verify,
+  capture,
+  cancel,
+  refund,
+  parseWebhook,
+  complete,
+  buildWebhook
+};
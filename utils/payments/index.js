@@ -0,0 +1,46 @@
+const config = require('../../config/config');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Payment providers. Each one implements:
+//   createPayment({ orderId, orderNumber, userId, amount, currency })
+//     -> { providerPaymentId, clientData }        amount in rupees; clientData goes to the browser
+//   verify({ providerPaymentId, ...params })
+//     -> { status, transactionId, amount, currency, paymentMethod }
+//   capture({ providerPaymentId, transactionId, amount, currency })
+//     -> same as verify
+//   cancel({ providerPaymentId })                   optional; only where an open payment can be cancelled
+//     -> same as verify
+//   refund({ providerPaymentId, transactionId, amount, metadata })
+//     -> { providerRefundId, status }             amount in rupees
+//   parseWebhook(rawBody, headers)
+//     -> { id, type, payment, refunds }           throws a 400 AppError for a bad signature
+// Payment amounts returned by verify/capture and webhooks are in paise, as the providers report them.
+// Payment statuses are succeeded, authorized (awaiting capture), pending or failed;
+// refund statuses are pending, processed or failed.
+const providers = {
+  stripe: require('./stripe'),
+  razorpay: require('./razorpay'),
+  fake: require('./fake')
+};
+
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${name}`, 500);
+  }
+  return provider;
+};
+
+// Provider that takes payments for an order's payment method (see payments.providers in config)
+const getProviderForMethod = (paymentMethod) => {
+  const name = config.payments.providers[paymentMethod];
+  if (!name) {
+    throw new AppError(`Orders paid by ${paymentMethod} are not paid online`, 400);
+  }
+  return getProvider(name);
+};
+
+module.exports = {
+  getProvider,
+  getProviderForMethod
+};
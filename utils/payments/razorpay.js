@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { AppError } = require('../../middleware/errorHandler');
+
+const name = 'razorpay';
+
+// Created on first use so the app starts without Razorpay keys
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      throw new AppError('Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to environment variables.', 503);
+    }
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
+
+const PAYMENT_STATUS = {
+  captured: 'succeeded',
+  authorized: 'authorized',
+  failed: 'failed'
+};
+
+const REFUND_STATUS = {
+  processed: 'processed',
+  failed: 'failed'
+};
+
+// Constant-time comparison of a hex HMAC-SHA256 signature
+const signatureMatches = (data, signature, secret) => {
+  if (!signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(data).digest('hex');
+  const received = String(signature);
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+const toPayment = (payment) => ({
+  status: PAYMENT_STATUS[payment.status] || 'pending',
+  transactionId: payment.id,
+  amount: payment.amount,
+  currency: payment.currency,
+  paymentMethod: payment.method
+});
+
+const createPayment = async ({ orderId, orderNumber, userId, amount, currency }) => {
+  const razorpayOrder = await getClient().orders.create({
+    amount: Math.round(amount * 100), // Convert to paise
+    currency: currency.toUpperCase(),
+    receipt: orderNumber,
+    notes: { userId, orderId }
+  });
+
+  return {
+    providerPaymentId: razorpayOrder.id,
+    clientData: {
+      orderId: razorpayOrder.id,
+      amount: razorpayOrder.amount,
+      currency: razorpayOrder.currency,
+      receipt: razorpayOrder.receipt
+    }
+  };
+};
+
+// With a checkout response (paymentId + signature) the signature is checked and that payment
+// fetched; the signature only proves the payment belongs to our Razorpay order, so the caller
+// still checks amount and currency. Without one, the Razorpay order's state is returned.
+const verify = async ({ providerPaymentId, orderId = providerPaymentId, paymentId, signature }) => {
+  if (orderId !== providerPaymentId) {
+    throw new AppError('Payment does not belong to this order', 400);
+  }
+
+  if (!paymentId) {
+    const razorpayOrder = await getClient().orders.fetch(providerPaymentId);
+    return {
+      status: razorpayOrder.status === 'paid' ? 'succeeded' : 'pending',
+      transactionId: null,
+      amount: razorpayOrder.amount,
+      currency: razorpayOrder.currency,
+      paymentMethod: null
+    };
+  }
+
+  if (!signatureMatches(`${providerPaymentId}|${paymentId}`, signature, process.env.RAZORPAY_KEY_SECRET)) {
+    throw new AppError('Payment verification failed', 400);
+  }
+
+  const payment = await getClient().payments.fetch(paymentId);
+  if (payment.order_id !== providerPaymentId) {
+    throw new AppError('Payment does not belong to this order', 400);
+  }
+  return toPayment(payment);
+};
+
+// Capture an authorized payment (when auto-capture is off in the Razorpay dashboard)
+const capture = async ({ transactionId, amount, currency }) => {
+  return toPayment(await getClient().payments.capture(transactionId, amount, currency.toUpperCase()));
+};
+
+const refund = async ({ transactionId, amount, metadata }) => {
+  const razorpayRefund = await getClient().payments.refund(transactionId, {
+    amount: Math.round(amount * 100), // Convert to paise
+    notes: metadata
+  });
+  return { providerRefundId: razorpayRefund.id, status: REFUND_STATUS[razorpayRefund.status] || 'pending' };
+};
+
+const notesOrderId = (...entities) => entities
+  .map(entity => entity && entity.notes && entity.notes.orderId)
+  .find(Boolean);
+
+// Verify the X-Razorpay-Signature header (HMAC of the raw body with the webhook secret)
+// and map the event onto our payment/refund updates
+const parseWebhook = (rawBody, headers) => {
+  if (!signatureMatches(rawBody, headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET)) {
+    throw new AppError('Webhook Error: invalid signature', 400);
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (err) {
+    throw new AppError(`Webhook Error: ${err.message}`, 400);
+  }
+
+  const payload = event.payload || {};
+  const payment = payload.payment && payload.payment.entity;
+  const razorpayOrder = payload.order && payload.order.entity;
+  const refund = payload.refund && payload.refund.entity;
+
+  const result = {
+    // Razorpay sends a unique id per event in a header; fall back to hashing the payload
+    id: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'),
+    type: event.event,
+    payment: null,
+    refunds: []
+  };
+
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      result.payment = {
+        ...(payment ? toPayment(payment) : { amount: razorpayOrder.amount_paid, currency: razorpayOrder.currency }),
+        status: 'succeeded',
+        orderId: notesOrderId(payment, razorpayOrder),
+        providerPaymentId: razorpayOrder ? razorpayOrder.id : payment.order_id
+      };
+      break;
+    case 'payment.failed':
+      result.payment = {
+        ...toPayment(payment),
+        status: 'failed',
+        orderId: notesOrderId(payment),
+        providerPaymentId: payment.order_id,
+        failureReason: `Razorpay payment failed${payment.error_description ? `: ${payment.error_description}` : ''}`
+      };
+      break;
+    case 'refund.processed':
+    case 'refund.failed':
+      result.refunds = [{
+        orderId: notesOrderId(refund, payment),
+        providerPaymentId: payment && payment.order_id,
+        providerRefundId: refund.id,
+        refundId: refund.notes && refund.notes.refundId,
+        amount: refund.amount / 100, // amounts are in paise
+        status: event.event === 'refund.failed' ? 'failed' : REFUND_STATUS[refund.status] || 'pending',
+        failureReason: refund.error_description
+      }];
+      break;
+    default:
+      break;
+  }
+
+  return result;
+};
+
+module.exports = {
+  name,
+  createPayment,
+  verify,
+  capture,
+  refund,
+  parseWebhook
+};
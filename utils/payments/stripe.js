@@ -0,0 +1,147 @@
+const { AppError } = require('../../middleware/errorHandler');
+
+const name = 'stripe';
+
+// Created on first use so the app starts without Stripe keys
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new AppError('Stripe payment service is not configured. Please add STRIPE_SECRET_KEY to environment variables.', 503);
+    }
+    client = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const PAYMENT_STATUS = {
+  succeeded: 'succeeded',
+  requires_capture: 'authorized',
+  canceled: 'failed'
+};
+
+const REFUND_STATUS = {
+  succeeded: 'processed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const toPayment = (paymentIntent) => ({
+  status: PAYMENT_STATUS[paymentIntent.status] || 'pending',
+  transactionId: paymentIntent.latest_charge,
+  amount: paymentIntent.amount,
+  currency: paymentIntent.currency,
+  paymentMethod: 'card'
+});
+
+const createPayment = async ({ orderId, userId, amount, currency }) => {
+  const paymentIntent = await getClient().paymentIntents.create({
+    amount: Math.round(amount * 100), // Convert to paise
+    currency: currency.toLowerCase(),
+    metadata: { userId, orderId }
+  });
+
+  return {
+    providerPaymentId: paymentIntent.id,
+    clientData: {
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id
+    }
+  };
+};
+
+// The payment intent's current state; the client's paymentIntentId must be the one we created
+const verify = async ({ providerPaymentId, paymentIntentId = providerPaymentId }) => {
+  if (paymentIntentId !== providerPaymentId) {
+    throw new AppError('Payment does not belong to this order', 400);
+  }
+  return toPayment(await getClient().paymentIntents.retrieve(providerPaymentId));
+};
+
+const capture = async ({ providerPaymentId }) => {
+  return toPayment(await getClient().paymentIntents.capture(providerPaymentId));
+};
+
+const cancel = async ({ providerPaymentId }) => {
+  return toPayment(await getClient().paymentIntents.cancel(providerPaymentId));
+};
+
+const refund = async ({ providerPaymentId, amount, metadata }) => {
+  const stripeRefund = await getClient().refunds.create({
+    payment_intent: providerPaymentId,
+    amount: Math.round(amount * 100), // Convert to paise
+    metadata
+  });
+  return { providerRefundId: stripeRefund.id, status: REFUND_STATUS[stripeRefund.status] || 'pending' };
+};
+
+const toRefund = (stripeRefund, charge = {}) => ({
+  orderId: (stripeRefund.metadata && stripeRefund.metadata.orderId) || (charge.metadata && charge.metadata.orderId),
+  providerPaymentId: stripeRefund.payment_intent || charge.payment_intent,
+  providerRefundId: stripeRefund.id,
+  refundId: stripeRefund.metadata && stripeRefund.metadata.refundId,
+  amount: stripeRefund.amount / 100,
+  status: REFUND_STATUS[stripeRefund.status] || 'pending',
+  failureReason: stripeRefund.failure_reason
+});
+
+// Verify the Stripe-Signature header and map the event onto our payment/refund updates
+const parseWebhook = (rawBody, headers) => {
+  let event;
+  try {
+    event = getClient().webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    throw new AppError(`Webhook Error: ${err.message}`, 400);
+  }
+
+  const object = event.data.object;
+  const result = { id: event.id, type: event.type, payment: null, refunds: [] };
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      result.payment = {
+        ...toPayment(object),
+        status: 'succeeded',
+        amount: object.amount_received,
+        orderId: object.metadata && object.metadata.orderId,
+        providerPaymentId: object.id
+      };
+      break;
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      result.payment = {
+        ...toPayment(object),
+        status: 'failed',
+        orderId: object.metadata && object.metadata.orderId,
+        providerPaymentId: object.id,
+        failureReason: event.type === 'payment_intent.canceled'
+          ? `Stripe payment intent cancelled${object.cancellation_reason ? ` (${object.cancellation_reason})` : ''}`
+          : `Stripe payment failed${object.last_payment_error ? `: ${object.last_payment_error.message}` : ''}`
+      };
+      break;
+    case 'charge.refunded':
+      // Older API versions list the charge's refunds; newer ones send refund.* events instead
+      result.refunds = ((object.refunds && object.refunds.data) || []).map(entry => toRefund(entry, object));
+      break;
+    case 'refund.created':
+    case 'refund.updated':
+    case 'refund.failed':
+    case 'charge.refund.updated':
+      result.refunds = [toRefund(object)];
+      break;
+    default:
+      break;
+  }
+
+  return result;
+};
+
+module.exports = {
+  name,
+  createPayment,
+  verify,
+  capture,
+  cancel,
+  refund,
+  parseWebhook
+};
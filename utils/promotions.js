@@ -0,0 +1,60 @@
+const Promotion = require('../models/Promotion');
+const { roundMoney } = require('./discounts');
+
+// Evaluate every running promotion against a cart or order, highest priority first.
+// Promotions that don't apply are reported in `skipped` with a reason:
+//   below_minimum        - subtotal under minOrderAmount (shortfall says by how much)
+//   coupon_applied       - a manual coupon is in use and the promotion doesn't stack with coupons
+//   not_stackable        - another promotion already applied and one of them doesn't stack
+//   no_eligible_items    - nothing in the cart is in the promotion's scope or it comes to 0
+// `couponDiscount` is what a manual coupon already takes off; the combined discount never exceeds the subtotal.
+// Returns the promotions' discount, shipping discount and per-line allocations.
+const evaluatePromotions = async ({ subtotal, items, shippingCost = 0, couponApplied = false, couponDiscount = 0 }) => {
+  const promotions = await Promotion.findRunning();
+
+  const applied = [];
+  const skipped = [];
+  const allocations = [];
+  let discount = 0;
+  let shippingDiscount = 0;
+  let exclusiveApplied = false;
+
+  for (const promotion of promotions) {
+    const summary = { promotionId: promotion._id, name: promotion.name };
+
+    if (subtotal < promotion.minOrderAmount) {
+      skipped.push({ ...summary, reason: 'below_minimum', shortfall: roundMoney(promotion.minOrderAmount - subtotal) });
+      continue;
+    }
+    if (couponApplied && !promotion.stacking.withCoupons) {
+      skipped.push({ ...summary, reason: 'coupon_applied' });
+      continue;
+    }
+    if (exclusiveApplied || (applied.length > 0 && !promotion.stacking.withPromotions)) {
+      skipped.push({ ...summary, reason: 'not_stackable' });
+      continue;
+    }
+
+    const result = promotion.calculateDiscount(subtotal, items, {
+      shippingCost: shippingCost - shippingDiscount
+    });
+    const amount = Math.max(0, Math.min(result.amount, subtotal - couponDiscount - discount));
+    if (amount <= 0 && result.shippingDiscount <= 0) {
+      skipped.push({ ...summary, reason: 'no_eligible_items' });
+      continue;
+    }
+
+    discount = roundMoney(discount + amount);
+    shippingDiscount = roundMoney(shippingDiscount + result.shippingDiscount);
+    // Allocations are dropped if the subtotal cap cut the amount, rather than mis-stated
+    if (amount === result.amount) allocations.push(...result.allocations);
+    applied.push({ ...summary, amount, shippingDiscount: result.shippingDiscount });
+    exclusiveApplied = !promotion.stacking.withPromotions;
+  }
+
+  return { discount, shippingDiscount, allocations, applied, skipped };
+};
+
+module.exports = {
+  evaluatePromotions
+};
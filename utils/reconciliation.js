@@ -0,0 +1,300 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { AppError } = require('../middleware/errorHandler');
+const { parseCsv, csvValue } = require('./csv');
+const { roundMoney } = require('./discounts');
+
+// Settlement export columns per provider. Exports differ between report types and
+// versions, so each field lists the headers it may appear under.
+const SETTLEMENT_COLUMNS = {
+  stripe: {
+    category: ['reporting_category', 'type'],
+    sourceId: ['source_id', 'id'],
+    chargeId: ['charge_id', 'charge'],
+    providerPaymentId: ['payment_intent_id', 'payment_intent'],
+    amount: ['gross', 'amount'],
+    currency: ['currency']
+  },
+  razorpay: {
+    category: ['type'],
+    sourceId: ['entity_id', 'id'],
+    chargeId: ['payment_id'],
+    providerPaymentId: ['order_id'],
+    amount: ['amount', 'credit'],
+    currency: ['currency']
+  }
+};
+
+const PAID_STATUSES = ['completed', 'refunded'];
+
+const pick = (row, names) => {
+  const name = names.find(candidate => row[candidate]);
+  return name ? row[name] : '';
+};
+
+// The whole previous UTC day
+const previousDay = (now = new Date()) => {
+  const periodEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { periodStart: new Date(periodEnd.getTime() - 24 * 60 * 60 * 1000), periodEnd };
+};
+
+// Read a settlement export into { kind, transactionId, providerRefundId, providerPaymentId, amount, currency }
+// rows, kind being capture or refund. Fees, payouts and adjustments are skipped.
+// Amounts are in rupees, as both providers export them.
+const parseSettlementCsv = (text, provider) => {
+  const columns = SETTLEMENT_COLUMNS[provider];
+  if (!columns) {
+    throw new AppError(`Settlement exports are not supported for ${provider}`, 400);
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length > 0 && !columns.amount.some(name => name in rows[0])) {
+    throw new AppError(`Unrecognised ${provider} settlement export: no ${columns.amount.join('/')} column`, 400);
+  }
+
+  return rows.map(row => {
+    const category = pick(row, columns.category).toLowerCase();
+    const entry = {
+      providerPaymentId: pick(row, columns.providerPaymentId) || null,
+      amount: roundMoney(Math.abs(parseFloat(pick(row, columns.amount)) || 0)),
+      currency: pick(row, columns.currency).toUpperCase()
+    };
+
+    if (['charge', 'payment'].includes(category)) {
+      return { ...entry, kind: 'capture', transactionId: pick(row, columns.chargeId) || pick(row, columns.sourceId) };
+    }
+    if (category === 'refund') {
+      return { ...entry, kind: 'refund', transactionId: pick(row, columns.chargeId), providerRefundId: pick(row, columns.sourceId) };
+    }
+    return null;
+  }).filter(Boolean);
+};
+
+// Orders marked paid in the period must have captured money to match, and money
+// captured in the period must belong to an order marked paid
+const checkLedger = async (provider, periodStart, periodEnd, tally) => {
+  const paidOrders = await Order.find({
+    'paymentDetails.provider': provider,
+    'paymentDetails.paidAt': { $gte: periodStart, $lt: periodEnd },
+    paymentStatus: { $in: PAID_STATUSES }
+  }).select('orderNumber total paymentStatus paymentDetails');
+
+  const orderCaptures = await Payment.find({
+    kind: 'capture',
+    order: { $in: paidOrders.map(order => order._id) }
+  });
+
+  paidOrders.forEach(order => {
+    const captures = orderCaptures.filter(capture => capture.order.equals(order._id));
+    const captured = roundMoney(captures.reduce((sum, capture) => sum + capture.amount, 0));
+
+    if (captures.length === 0) {
+      tally.flag('missing_payment', {
+        order,
+        expected: `${order.getPaidAmount()}`,
+        message: 'Order is marked paid but no captured payment is recorded'
+      });
+    } else if (captured !== roundMoney(order.getPaidAmount())) {
+      tally.flag('amount_mismatch', {
+        order,
+        transactionId: captures.map(capture => capture.transactionId).join(' '),
+        expected: `${order.getPaidAmount()}`,
+        actual: `${captured}`,
+        message: captures.length > 1 ? 'Order was captured more than once' : 'Captured amount differs from the order'
+      });
+    } else {
+      tally.matched += 1;
+    }
+  });
+
+  const captures = await Payment.find({
+    provider,
+    kind: 'capture',
+    createdAt: { $gte: periodStart, $lt: periodEnd }
+  }).populate('order', 'orderNumber total paymentStatus paymentDetails');
+
+  captures.forEach(capture => {
+    if (!capture.order) {
+      tally.flag('missing_order', {
+        transactionId: capture.transactionId,
+        actual: `${capture.amount} ${capture.currency}`,
+        message: 'Captured payment has no matching order'
+      });
+    } else if (!PAID_STATUSES.includes(capture.order.paymentStatus)) {
+      tally.flag('status_mismatch', {
+        order: capture.order,
+        transactionId: capture.transactionId,
+        expected: 'completed',
+        actual: capture.order.paymentStatus,
+        message: 'Payment was captured but the order is not marked paid'
+      });
+    }
+  });
+
+  tally.summary.ordersChecked = paidOrders.length;
+  tally.summary.capturesChecked = captures.length;
+  tally.summary.capturedAmount = roundMoney(captures.reduce((sum, capture) => sum + capture.amount, 0));
+  return captures;
+};
+
+// Every settled payment and refund must be in our ledger for the same amount, and every
+// capture we recorded in the period must have been settled
+const checkSettlement = async (provider, rows, captures, tally) => {
+  const settledCaptures = rows.filter(row => row.kind === 'capture');
+  const settledRefunds = rows.filter(row => row.kind === 'refund');
+
+  const [captureEntries, refundEntries, ordersByPayment] = await Promise.all([
+    Payment.find({
+      provider,
+      kind: 'capture',
+      transactionId: { $in: settledCaptures.map(row => row.transactionId) }
+    }).populate('order', 'orderNumber total paymentStatus paymentDetails'),
+    Payment.find({
+      provider,
+      kind: 'refund',
+      providerRefundId: { $in: settledRefunds.map(row => row.providerRefundId) }
+    }).populate('order', 'orderNumber'),
+    Order.find({
+      'paymentDetails.provider': provider,
+      'paymentDetails.providerPaymentId': { $in: settledCaptures.map(row => row.providerPaymentId).filter(Boolean) }
+    }).select('orderNumber paymentDetails.providerPaymentId')
+  ]);
+
+  settledCaptures.forEach(row => {
+    const entry = captureEntries.find(capture => capture.transactionId === row.transactionId);
+    const settled = `${row.amount} ${row.currency}`;
+
+    if (!entry) {
+      const order = ordersByPayment.find(candidate => candidate.paymentDetails.providerPaymentId === row.providerPaymentId);
+      tally.flag(order ? 'missing_payment' : 'missing_order', {
+        order,
+        transactionId: row.transactionId,
+        actual: settled,
+        message: order ? 'Settled payment is missing from the payment ledger' : 'Settled payment has no matching order'
+      });
+    } else if (entry.amount !== row.amount || (row.currency && entry.currency !== row.currency)) {
+      tally.flag('amount_mismatch', {
+        order: entry.order,
+        transactionId: row.transactionId,
+        expected: `${entry.amount} ${entry.currency}`,
+        actual: settled,
+        message: 'Settled amount differs from the captured payment'
+      });
+    } else if (!entry.order || !PAID_STATUSES.includes(entry.order.paymentStatus)) {
+      tally.flag(entry.order ? 'status_mismatch' : 'missing_order', {
+        order: entry.order,
+        transactionId: row.transactionId,
+        expected: 'completed',
+        actual: entry.order ? entry.order.paymentStatus : '',
+        message: entry.order ? 'Settled payment on an order that is not marked paid' : 'Settled payment has no matching order'
+      });
+    } else {
+      tally.matched += 1;
+    }
+  });
+
+  settledRefunds.forEach(row => {
+    const entry = refundEntries.find(refund => refund.providerRefundId === row.providerRefundId);
+
+    if (!entry) {
+      tally.flag('missing_payment', {
+        transactionId: row.transactionId,
+        providerRefundId: row.providerRefundId,
+        actual: `${row.amount} ${row.currency}`,
+        message: 'Settled refund is missing from our records'
+      });
+    } else if (entry.amount !== row.amount) {
+      tally.flag('amount_mismatch', {
+        order: entry.order,
+        providerRefundId: row.providerRefundId,
+        expected: `${entry.amount}`,
+        actual: `${row.amount}`,
+        message: 'Settled refund amount differs from our refund'
+      });
+    } else if (entry.status !== 'processed') {
+      tally.flag('status_mismatch', {
+        order: entry.order,
+        providerRefundId: row.providerRefundId,
+        expected: 'processed',
+        actual: entry.status,
+        message: 'Refund was settled but is not marked processed'
+      });
+    } else {
+      tally.matched += 1;
+    }
+  });
+
+  const settledIds = new Set(settledCaptures.map(row => row.transactionId));
+  captures
+    .filter(capture => !settledIds.has(capture.transactionId))
+    .forEach(capture => {
+      tally.flag('missing_settlement', {
+        order: capture.order,
+        transactionId: capture.transactionId,
+        expected: `${capture.amount} ${capture.currency}`,
+        message: 'Captured payment does not appear in the settlement export'
+      });
+    });
+
+  tally.summary.settlementRows = rows.length;
+  tally.summary.settledAmount = roundMoney(settledCaptures.reduce((sum, row) => sum + row.amount, 0));
+};
+
+// Reconcile one provider's payments for a period and store the report.
+// Without settlement rows only our own orders and ledger are compared.
+const reconcilePayments = async ({ provider, periodStart, periodEnd, settlementRows = null, fileName, createdBy }) => {
+  const report = new ReconciliationReport({
+    provider,
+    source: settlementRows ? 'settlement' : 'ledger',
+    periodStart,
+    periodEnd,
+    fileName,
+    createdBy
+  });
+
+  const tally = {
+    summary: report.summary,
+    matched: 0,
+    flag: (type, { order, ...details }) => {
+      report.mismatches.push({
+        type,
+        order: order && order._id,
+        orderNumber: order && order.orderNumber,
+        ...details
+      });
+    }
+  };
+
+  const captures = await checkLedger(provider, periodStart, periodEnd, tally);
+  if (settlementRows) {
+    await checkSettlement(provider, settlementRows, captures, tally);
+  }
+
+  report.summary.matched = tally.matched;
+  report.summary.mismatches = report.mismatches.length;
+  return report.save();
+};
+
+// Write a report's mismatches as CSV to a writable (the HTTP response)
+const writeReportCsv = (report, out) => {
+  out.write('type,orderNumber,transactionId,providerRefundId,expected,actual,message\n');
+  report.mismatches.forEach(mismatch => {
+    out.write([
+      mismatch.type,
+      mismatch.orderNumber,
+      mismatch.transactionId,
+      mismatch.providerRefundId,
+      mismatch.expected,
+      mismatch.actual,
+      mismatch.message
+    ].map(csvValue).join(',') + '\n');
+  });
+};
+
+module.exports = {
+  previousDay,
+  parseSettlementCsv,
+  reconcilePayments,
+  writeReportCsv
+};
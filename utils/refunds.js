@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('./logger');
+const { getProvider } = require('./payments');
+const Payment = require('../models/Payment');
+
+// Attempts at saving a provider's refund outcome when the order keeps changing under us
+const SAVE_ATTEMPTS = 3;
+
+// Store the provider's outcome on the refund. The order may have changed since the refund
+// was saved (e.g. the provider's webhook settled it first), so a VersionError reloads the
+// order and applies the outcome again; a refund already settled otherwise keeps its status.
+// Resolves to the order as saved.
+const saveRefundOutcome = async (order, refundId, status, details) => {
+  for (let attempt = 1; ; attempt++) {
+    const refund = order.refunds.id(refundId);
+    if (refund.status === 'pending' || refund.status === status) {
+      order.updateRefundStatus(refund, status, details);
+    } else if (details.providerRefundId) {
+      refund.providerRefundId = details.providerRefundId;
+    }
+
+    try {
+      await order.save();
+      return order;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= SAVE_ATTEMPTS) throw error;
+      order = await order.constructor.findById(order._id);
+    }
+  }
+};
+
+// Issue a full or partial refund for a paid order.
+// The refund is saved as pending before the provider is called, so a webhook that
+// arrives first can still find it. Provider refunds are settled by the provider's
+// response or webhook; store credit and bank transfers stay pending until an admin
+// confirms them with settleManualRefund. Once the provider has accepted the refund this
+// never throws: if the outcome can't be saved, the webhook (matched by our refund id)
+// settles it. Returns { refund, order }, the order as last saved.
+const issueRefund = async (order, { amount, method, reason, by }) => {
+  const refund = order.addRefund({ amount, method, reason, by });
+  // Bump the version so that of two refunds checked against the same refundable amount,
+  // only the first is saved; the other fails with a VersionError instead of over-refunding
+  order.increment();
+  try {
+    await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new AppError('The order was changed by another request, please reload it and try again', 409);
+    }
+    throw error;
+  }
+
+  if (refund.provider === 'manual') {
+    await Payment.recordRefund(order, refund, { source: 'admin' });
+    return { refund, order };
+  }
+
+  let outcome;
+  try {
+    outcome = await getProvider(refund.provider).refund({
+      providerPaymentId: order.paymentDetails.providerPaymentId,
+      transactionId: order.paymentDetails.transactionId,
+      amount: refund.amount,
+      metadata: { orderId: order._id.toString(), refundId: refund._id.toString() }
+    });
+  } catch (error) {
+    logger.error(`Refund for order ${order.orderNumber} failed:`, error);
+    order = await saveRefundOutcome(order, refund._id, 'failed', { failureReason: error.message, by });
+    await Payment.recordRefund(order, order.refunds.id(refund._id), { source: 'admin' });
+    throw new AppError(`Refund failed: ${error.message}`, error.statusCode || 502);
+  }
+
+  try {
+    order = await saveRefundOutcome(order, refund._id, outcome.status, { providerRefundId: outcome.providerRefundId, by });
+    await Payment.recordRefund(order, order.refunds.id(refund._id), { source: 'admin' });
+  } catch (error) {
+    logger.error(`Refund ${outcome.providerRefundId} for order ${order.orderNumber} was made but could not be saved:`, error);
+  }
+  return { refund: order.refunds.id(refund._id), order };
+};
+
+// Confirm (or fail) a store credit or bank transfer refund once the admin has made it
+const settleManualRefund = async (order, refundId, { status, reference, failureReason, by }) => {
+  const refund = order.refunds.id(refundId);
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+  if (refund.provider !== 'manual') {
+    throw new AppError('Provider refunds are settled by the payment provider', 409);
+  }
+
+  order.updateRefundStatus(refund, status, { reference, failureReason, by });
+  await order.save();
+  await Payment.recordRefund(order, refund, { source: 'admin' });
+  return refund;
+};
+
+module.exports = {
+  issueRefund,
+  settleManualRefund
+};
@@ -0,0 +1,169 @@
+const STEP_DETAILS = {
+  pending: {
+    title: 'Order Placed',
+    description: 'Your order has been placed and is being reviewed'
+  },
+  confirmed: {
+    title: 'Order Confirmed',
+    description: 'Your order has been confirmed and is being prepared'
+  },
+  processing: {
+    title: 'Processing',
+    description: 'Your order is being prepared for shipment'
+  },
+  shipped: {
+    title: 'Shipped',
+    description: 'Your order has been shipped'
+  },
+  delivered: {
+    title: 'Delivered',
+    description: 'Your order has been delivered'
+  },
+  cancelled: {
+    title: 'Cancelled',
+    description: 'Your order has been cancelled'
+  },
+  returned: {
+    title: 'Returned',
+    description: 'Your order has been returned'
+  }
+};
+
+const FULFILMENT_STEPS = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
+// When the order first reached each status, taken from the status history.
+// Orders placed before status history was recorded fall back to the dates stored
+// on the order itself; steps with no known date are left without a timestamp.
+const statusReachedAt = (order) => {
+  const reached = {};
+
+  for (const entry of order.statusHistory || []) {
+    if (entry.field === 'orderStatus' && !reached[entry.to]) {
+      reached[entry.to] = entry.at;
+    }
+  }
+
+  const shippingDetails = order.shippingDetails || {};
+  reached.pending = reached.pending || order.createdAt;
+  reached.shipped = reached.shipped || shippingDetails.shippedAt;
+  reached.delivered = reached.delivered || shippingDetails.deliveredAt;
+  reached.cancelled = reached.cancelled || (order.cancelRequest && order.cancelRequest.processedAt);
+  reached.returned = reached.returned || (order.returnRequest && order.returnRequest.processedAt);
+
+  return reached;
+};
+
+// Carrier scan events, oldest first
+const trackingEvents = (order) => {
+  const events = (order.shippingDetails && order.shippingDetails.events) || [];
+  return [...events]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .map(event => ({
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      timestamp: event.at
+    }));
+};
+
+// Build the customer-facing tracking timeline for an order.
+// Cancelled orders show only the steps reached before cancellation; returned
+// orders show the full delivery path followed by the return.
+const buildTrackingTimeline = (order) => {
+  const reached = statusReachedAt(order);
+  const current = order.orderStatus;
+
+  let steps = FULFILMENT_STEPS;
+  if (current === 'cancelled') {
+    steps = [...FULFILMENT_STEPS.filter(status => reached[status]), 'cancelled'];
+  } else if (current === 'returned') {
+    steps = [...FULFILMENT_STEPS, 'returned'];
+  }
+
+  const currentIndex = steps.indexOf(current);
+  const trackingNumber = order.shippingDetails && order.shippingDetails.trackingNumber;
+
+  return steps.map((status, index) => {
+    const step = {
+      status,
+      title: STEP_DETAILS[status].title,
+      description: STEP_DETAILS[status].description,
+      timestamp: reached[status] || null,
+      completed: index <= currentIndex,
+      current: index === currentIndex
+    };
+
+    if (status === 'shipped') {
+      if (trackingNumber) {
+        step.description = `Your order has been shipped (Tracking: ${trackingNumber})`;
+      }
+      step.events = trackingEvents(order);
+    }
+
+    return step;
+  });
+};
+
+// Expected delivery date while the order is still on its way
+const getEstimatedDelivery = (order) => {
+  if (!['pending', 'confirmed', 'processing', 'shipped'].includes(order.orderStatus)) return null;
+  return (order.shippingDetails && order.shippingDetails.estimatedDelivery) || null;
+};
+
+// Check the second factor supplied with a public tracking lookup. Any one of the
+// account email, the last 4 digits of the shipping phone or the shipping pincode
+// must match; values that weren't supplied are ignored.
+const verifyTrackingRequest = (order, { email, phone, pincode } = {}) => {
+  const address = order.shippingAddress || {};
+  const checks = [];
+
+  if (email) {
+    const orderEmail = order.user && order.user.email;
+    checks.push(Boolean(orderEmail) && orderEmail.toLowerCase() === email.toLowerCase());
+  }
+  if (phone) {
+    const digits = String(address.phone || '').replace(/\D/g, '');
+    checks.push(digits.length >= 4 && digits.slice(-4) === phone);
+  }
+  if (pincode) {
+    checks.push(String(address.pincode || '').replace(/\s/g, '') === pincode.replace(/\s/g, ''));
+  }
+
+  return checks.length > 0 && checks.every(Boolean);
+};
+
+// Order details that are safe to show to anyone holding the order number and a second factor:
+// no customer name, email, street address, phone or prices
+const redactOrderForTracking = (order) => {
+  const shippingDetails = order.shippingDetails || {};
+  const address = order.shippingAddress || {};
+
+  return {
+    orderNumber: order.orderNumber,
+    orderStatus: order.orderStatus,
+    createdAt: order.createdAt,
+    items: order.items.map(item => ({
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      image: item.image
+    })),
+    shippingAddress: {
+      city: address.city,
+      state: address.state
+    },
+    shippingDetails: {
+      carrier: shippingDetails.carrier,
+      trackingNumber: shippingDetails.trackingNumber,
+      shippedAt: shippingDetails.shippedAt,
+      deliveredAt: shippingDetails.deliveredAt
+    }
+  };
+};
+
+module.exports = {
+  buildTrackingTimeline,
+  getEstimatedDelivery,
+  verifyTrackingRequest,
+  redactOrderForTracking
+};